@@ -0,0 +1,68 @@
+const { verifyAccessToken } = require('../utils/authTokens');
+const { getUserStore } = require('../storage');
+
+// Bearer token authentication for the API routers
+
+const readBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Sets req.user when a valid token is sent; anonymous requests pass through,
+// but a bad token is rejected rather than silently treated as anonymous
+const optionalAuth = (req, res, next) => {
+  const token = readBearerToken(req);
+  req.user = null;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.user = { id: payload.sub, email: payload.email };
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token',
+      error: error.message
+    });
+  }
+};
+
+// Access tokens outlive a deleted account, so the user must still exist
+const requireAuth = (req, res, next) => {
+  optionalAuth(req, res, async () => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      if (!await getUserStore().findById(req.user.id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'User no longer exists'
+        });
+      }
+    } catch (error) {
+      console.error('❌ Auth error:', error.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to verify user',
+        error: error.message
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  optionalAuth,
+  requireAuth
+};
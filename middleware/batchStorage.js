@@ -0,0 +1,50 @@
+const { uploadError } = require('../utils/uploadValidation');
+
+// Multer memory storage for recruiter batches with per-type and per-request byte limits
+// Resumes keep the single-upload size limit, only zip archives may be larger, and the whole
+// request is capped so many files can't add up to gigabytes held in memory
+
+const toMB = bytes => Math.round(bytes / 1024 / 1024);
+
+const createBatchStorage = ({ maxFileBytes, maxZipBytes, maxTotalBytes, isZip }) => ({
+  _handleFile: (req, file, cb) => {
+    const limit = isZip(file) ? maxZipBytes : maxFileBytes;
+    const chunks = [];
+    let size = 0;
+    let done = false;
+
+    const finish = (error, info) => {
+      if (done) return;
+      done = true;
+      if (error) {
+        file.stream.removeAllListeners('data');
+        file.stream.resume();
+      }
+      cb(error, info);
+    };
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      req.batchUploadBytes = (req.batchUploadBytes || 0) + chunk.length;
+
+      if (size > limit) {
+        return finish(uploadError('FILE_TOO_LARGE', `File "${file.originalname}" is larger than ${toMB(limit)}MB`));
+      }
+      if (req.batchUploadBytes > maxTotalBytes) {
+        return finish(uploadError('FILE_TOO_LARGE', `Batch upload is larger than ${toMB(maxTotalBytes)}MB in total`));
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('error', finish);
+    file.stream.on('end', () => finish(null, { buffer: Buffer.concat(chunks), size }));
+  },
+
+  _removeFile: (req, file, cb) => {
+    delete file.buffer;
+    cb(null);
+  }
+});
+
+module.exports = {
+  createBatchStorage
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { getCounterStore } = require('../storage');
+
+// Per-IP and per-user rate limits (fixed windows) plus daily quotas for signed-in users
+// Windows and limits per route come from config/rateLimits.json; RATE_LIMIT_ENABLED=false turns everything off
+
+const configFile = process.env.RATE_LIMITS_CONFIG || path.join(__dirname, '../config/rateLimits.json');
+const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sendLimited = (res, { error, message, resetAt }) => {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: `${message} - try again in ${retryAfter} seconds`,
+    error,
+    retryAfter
+  });
+};
+
+// Counting must never take the API down - a failing counter store lets requests through
+const countRequest = async (key, windowMs) => {
+  try {
+    return await getCounterStore().increment(key, windowMs);
+  } catch (error) {
+    console.log('⚠️ Rate limit store unavailable:', error.message);
+    return null;
+  }
+};
+
+// Limits for one route from the config: { windowMs, perIp, perUser }
+// Signed-in users are limited per user instead of per IP (needs optionalAuth first), so users
+// behind a shared office IP don't use up each other's requests; everyone else is limited per IP
+const rateLimit = (routeName) => {
+  const limits = config[routeName];
+
+  if (!limits) {
+    throw new Error(`No rate limits configured for "${routeName}"`);
+  }
+
+  return async (req, res, next) => {
+    if (!isEnabled()) {
+      return next();
+    }
+
+    const check = req.user && limits.perUser
+      ? { key: `${routeName}:user:${req.user.id}`, max: limits.perUser }
+      : { key: `${routeName}:ip:${req.ip}`, max: limits.perIp };
+
+    const counter = await countRequest(check.key, limits.windowMs);
+    if (!counter) {
+      return next();
+    }
+
+    res.setHeader('RateLimit-Limit', String(check.max));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, check.max - counter.count)));
+    res.setHeader('RateLimit-Reset', String(Math.ceil((counter.resetAt - Date.now()) / 1000)));
+
+    if (counter.count > check.max) {
+      console.log('⛔ Rate limit hit:', check.key);
+      return sendLimited(res, { error: 'RATE_LIMITED', message: 'Too many requests', resetAt: counter.resetAt });
+    }
+
+    next();
+  };
+};
+
+// Refunds must not fail the response either
+const refundRequest = async (key) => {
+  try {
+    await getCounterStore().decrement(key);
+  } catch (error) {
+    console.log('⚠️ Rate limit store unavailable:', error.message);
+  }
+};
+
+// Requests per signed-in user per UTC day; anonymous requests are only rate limited
+// Requests rejected with a 4xx (missing file, bad input, ...) are refunded once the response is sent
+const dailyQuota = (quotaName) => {
+  const limit = config.dailyQuotas && config.dailyQuotas[quotaName];
+
+  if (!limit) {
+    throw new Error(`No daily quota configured for "${quotaName}"`);
+  }
+
+  return async (req, res, next) => {
+    if (!isEnabled() || !req.user) {
+      return next();
+    }
+
+    const now = Date.now();
+    const day = new Date(now).toISOString().slice(0, 10);
+    const nextMidnight = (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+
+    const key = `quota:${quotaName}:${req.user.id}:${day}`;
+    const counter = await countRequest(key, nextMidnight - now);
+    if (!counter) {
+      return next();
+    }
+
+    res.setHeader('X-Quota-Limit', String(limit));
+    res.setHeader('X-Quota-Remaining', String(Math.max(0, limit - counter.count)));
+
+    if (counter.count > limit) {
+      console.log('⛔ Daily quota used up:', quotaName, req.user.id);
+      return sendLimited(res, {
+        error: 'DAILY_QUOTA_EXCEEDED',
+        message: `Daily limit of ${limit} ${quotaName} reached`,
+        resetAt: counter.resetAt
+      });
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400 && res.statusCode < 500) {
+        refundRequest(key);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+  dailyQuota
+};
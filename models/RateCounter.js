@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Rate limit / quota counters - MongoDB drops each document once its window has ended
+const rateCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+module.exports = mongoose.model('RateCounter', rateCounterSchema);
@@ -3,7 +3,8 @@ const mongoose = require('mongoose');
 const reportSchema = new mongoose.Schema({
   userId: {
     type: String,
-    default: 'guest'
+    default: 'guest',
+    index: true
   },
   resumeText: {
     type: String,
@@ -17,19 +18,39 @@ const reportSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  profile: {
+    type: String,
+    default: 'default'
+  },
+  project: {
+    type: String,
+    default: null,
+    index: true
+  },
+  version: Number,
   breakdown: {
     keywordMatch: Number,
     formatting: Number,
     readability: Number,
     structure: Number,
-    keywordBalance: Number
+    keywordBalance: Number,
+    semanticMatch: Number
   },
+  evidence: mongoose.Schema.Types.Mixed,
   suggestions: [{
     category: String,
     message: String,
-    priority: String
+    priority: String,
+    before: String,
+    after: String,
+    issues: [String],
+    source: String
   }],
   strengths: [String],
+  ocr: mongoose.Schema.Types.Mixed,
+  layout: mongoose.Schema.Types.Mixed,
+  language: mongoose.Schema.Types.Mixed,
+  pii: mongoose.Schema.Types.Mixed,
   weaknesses: [String],
   createdAt: {
     type: Date,
@@ -37,4 +58,10 @@ const reportSchema = new mongoose.Schema({
   }
 });
 
+// One report per version number within a user's project
+reportSchema.index(
+  { userId: 1, project: 1, version: 1 },
+  { unique: true, partialFilterExpression: { version: { $type: 'number' } } }
+);
+
 module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,244 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { getUserStore, getReportStore } = require('../storage');
+const { issueTokens, verifyRefreshToken } = require('../utils/authTokens');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Slows down password guessing and account spam
+const authLimit = rateLimit('auth');
+
+const SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Compared against for unknown emails so login takes as long whether or not the account exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', SALT_ROUNDS);
+
+const toPublicUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name || '',
+  createdAt: user.createdAt
+});
+
+// Register
+router.post('/register', authLimit, async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const password = String(req.body?.password || '');
+    const name = String(req.body?.name || '').trim();
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email is required'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    const user = await getUserStore().create({ email, name, passwordHash });
+
+    console.log('✅ User registered:', email);
+    res.status(201).json({
+      success: true,
+      data: {
+        user: toPublicUser(user),
+        ...issueTokens(user)
+      }
+    });
+  } catch (error) {
+    if (error.code === 'DUPLICATE_EMAIL') {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already registered'
+      });
+    }
+
+    console.error('❌ Register error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register',
+      error: error.message
+    });
+  }
+});
+
+// Login
+router.post('/login', authLimit, async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const password = String(req.body?.password || '');
+
+    const user = email ? await getUserStore().findByEmail(email) : null;
+    const valid = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH) && Boolean(user);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: toPublicUser(user),
+        ...issueTokens(user)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Login error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log in',
+      error: error.message
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', authLimit, async (req, res) => {
+  try {
+    const refreshToken = req.body?.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken is required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        error: error.message
+      });
+    }
+
+    const user = await getUserStore().findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: issueTokens(user)
+    });
+  } catch (error) {
+    console.error('❌ Refresh error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+});
+
+// Current user
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await getUserStore().findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('❌ Profile error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: error.message
+    });
+  }
+});
+
+// Everything stored about the current user, as a JSON download
+router.get('/me/export', requireAuth, async (req, res) => {
+  try {
+    const user = await getUserStore().findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const reports = await getReportStore().findMany({ userId: req.user.id });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Disposition', `attachment; filename="my-data-${date}.json"`);
+    res.json({
+      success: true,
+      data: {
+        user: toPublicUser(user),
+        reports,
+        exportedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Data export error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export data',
+      error: error.message
+    });
+  }
+});
+
+// Delete the account and every stored report - reports go first, so a failure leaves the account in place to retry
+router.delete('/me', requireAuth, async (req, res) => {
+  try {
+    const deletedReports = await getReportStore().deleteMany({ userId: req.user.id });
+    const deletedUser = await getUserStore().deleteById(req.user.id);
+
+    if (!deletedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log('🗑️ Account deleted with', deletedReports, 'report(s)');
+
+    res.json({
+      success: true,
+      message: 'Account and all stored data deleted',
+      data: { deletedReports }
+    });
+  } catch (error) {
+    console.error('❌ Account delete error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,176 +1,653 @@
 const express = require('express');
 const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
-const { parseResume } = require('../utils/resumeParser');
-const { calculateATSScore, generateInsights } = require('../utils/atsScoring');
-const { generateAISuggestions } = require('../utils/aiSuggestions');
+const { SUPPORTED_FORMATS_LABEL, isSupportedFile, validateResumeFile, parseResumeFile, parseResumeText } = require('../utils/resumeParser');
+const { uploadError, isUploadError } = require('../utils/uploadValidation');
+const { analyzeResume } = require('../utils/resumeAnalyzer');
+const { DEFAULT_PROFILE, hasProfile, listProfiles } = require('../utils/scoringProfiles');
+const { MAX_BATCH_RESUMES, isZip, rankCandidates, rankingToCsv } = require('../utils/batchRanking');
+const { MAX_JOB_DESCRIPTIONS, compareJobs } = require('../utils/jobComparison');
+const { getReportStore } = require('../storage');
+const { optionalAuth, requireAuth } = require('../middleware/auth');
+const { rateLimit, dailyQuota } = require('../middleware/rateLimit');
+const { createBatchStorage } = require('../middleware/batchStorage');
+const { compareReports, buildScoreTrend, summarizeProjects } = require('../utils/reportComparison');
+const { EXPORT_FORMATS, resolveFormat, exportReport } = require('../utils/reportExport');
+const { createJobQueue } = require('../utils/jobQueue');
+const { redactReport } = require('../utils/piiRedaction');
 
 const router = express.Router();
 
-// Create reports directory
-const reportsDir = path.join(__dirname, '../reports');
-if (!fs.existsSync(reportsDir)) {
-  fs.mkdirSync(reportsDir, { recursive: true });
-}
+const MAX_PROJECT_NAME_LENGTH = 100;
+// Upper bound on reports read when grouping a user's history into projects
+const MAX_PROJECT_REPORTS = 1000;
 
-const reportsFile = path.join(reportsDir, 'reports.json');
+// Attach req.user when a Bearer token is sent
+router.use(optionalAuth);
 
-// Helper functions
-const readReports = () => {
-  try {
-    if (fs.existsSync(reportsFile)) {
-      const data = fs.readFileSync(reportsFile, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.log('⚠️ Read error:', error.message);
-  }
-  return [];
-};
-
-const writeReports = (reports) => {
-  try {
-    fs.writeFileSync(reportsFile, JSON.stringify(reports, null, 2));
-  } catch (error) {
-    console.log('⚠️ Write error:', error.message);
-  }
-};
+// Upload size limits - a batch may hold larger zip archives, up to its total
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_BATCH_ZIP_BYTES = 20 * 1024 * 1024;
+const MAX_BATCH_UPLOAD_BYTES = parseInt(process.env.MAX_BATCH_UPLOAD_BYTES, 10) || 50 * 1024 * 1024;
 
 // Multer config
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   limits: { 
-    fileSize: 5 * 1024 * 1024, // 5MB
+    fileSize: MAX_UPLOAD_BYTES, // 5MB
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (isSupportedFile(file)) {
+      cb(null, true);
+    } else {
+      cb(uploadError('UNSUPPORTED_FILE_TYPE', `Only ${SUPPORTED_FORMATS_LABEL} files are allowed`));
+    }
+  }
+});
+
+// Multer config for recruiter batches - many resumes or zip archives
+const batchUpload = multer({
+  storage: createBatchStorage({
+    maxFileBytes: MAX_UPLOAD_BYTES,
+    maxZipBytes: MAX_BATCH_ZIP_BYTES,
+    maxTotalBytes: MAX_BATCH_UPLOAD_BYTES,
+    isZip
+  }),
+  limits: {
+    fileSize: MAX_BATCH_ZIP_BYTES,
+    files: MAX_BATCH_RESUMES
+  },
+  fileFilter: (req, file, cb) => {
+    if (isSupportedFile(file) || isZip(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF and DOCX files are allowed'));
+      cb(uploadError('UNSUPPORTED_FILE_TYPE', `Only ${SUPPORTED_FORMATS_LABEL} or ZIP files are allowed`));
     }
   }
 });
 
+// An uploaded file wins over pasted text (the resumeText body field)
+// Resolves to { text, format, ocr, layout }
+const readResumeInput = async (file, pastedText) => {
+  if (file) {
+    return parseResumeFile(file);
+  }
+  return { text: parseResumeText(pastedText), format: 'text', ocr: null, layout: null };
+};
+
+// Upload and parsing problems carry a code and their own HTTP status (see utils/uploadValidation)
+const sendUploadError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    error: error.code
+  });
+};
+
+const MISSING_RESUME_MESSAGE = 'Please upload a resume file or paste the resume text in resumeText';
+
+// Validates an analyze request - returns { error } (a 400 response body) or { input }
+const readAnalyzeRequest = (req) => {
+  const { jobDescription } = req.body;
+  const profileName = req.body.profile || DEFAULT_PROFILE;
+  const rewriteBullets = req.body.rewriteBullets === true || req.body.rewriteBullets === 'true';
+  const project = req.body.project ? String(req.body.project).trim() : null;
+  const file = req.file;
+  const pastedText = req.body.resumeText;
+
+  // Validation
+  if (!file && !pastedText) {
+    console.log('❌ No resume provided');
+    return { error: { success: false, message: MISSING_RESUME_MESSAGE } };
+  }
+
+  if (file) {
+    console.log('📄 File received:', file.originalname, file.mimetype, file.size + ' bytes');
+  } else {
+    console.log('📄 Pasted resume text received:', String(pastedText).length, 'characters');
+  }
+
+  if (!jobDescription || jobDescription.trim().length < 50) {
+    console.log('❌ Job description too short:', jobDescription?.length || 0);
+    return {
+      error: { success: false, message: 'Please provide a detailed job description (at least 50 characters)' }
+    };
+  }
+
+  if (!hasProfile(profileName)) {
+    return {
+      error: {
+        success: false,
+        message: `Unknown scoring profile "${profileName}"`,
+        availableProfiles: listProfiles().map(profile => profile.name)
+      }
+    };
+  }
+
+  if (project && project.length > MAX_PROJECT_NAME_LENGTH) {
+    return {
+      error: { success: false, message: `project must be at most ${MAX_PROJECT_NAME_LENGTH} characters` }
+    };
+  }
+
+  return { input: { file, pastedText, jobDescription, profileName, rewriteBullets, project } };
+};
+
+// Parse, analyze and (for signed-in users) save - shared by /analyze and background jobs
+// onProgress(stage) reports parsing, scoring, insights, suggestions and saving
+const runAnalysis = async (input, user, onProgress = () => {}) => {
+  const { file, pastedText, jobDescription, profileName, rewriteBullets, project } = input;
+
+  onProgress('parsing');
+  console.log('📄 Parsing resume...');
+  const { text: resumeText, ocr, layout } = await readResumeInput(file, pastedText);
+
+  if (!resumeText || resumeText.length < 100) {
+    console.log('❌ Could not extract enough text:', resumeText?.length || 0);
+    throw uploadError('NO_TEXT_FOUND', 'Could not extract enough text from resume. Please ensure the file is readable and not a scanned image.');
+  }
+
+  console.log('✅ Resume parsed:', resumeText.length, 'characters');
+  const analysis = await analyzeResume(resumeText, jobDescription, { profile: profileName, rewriteBullets, ocr, layout, onProgress });
+
+  console.log('✅ Analysis complete! Score:', analysis.atsScore);
+
+  // Save report - only signed-in users get a history, anonymous analyses are not persisted
+  if (user) {
+    onProgress('saving');
+    try {
+      const store = getReportStore();
+      // The store numbers versions within the project
+      const reportData = {
+        userId: user.id,
+        atsScore: analysis.atsScore,
+        profile: profileName,
+        project,
+        breakdown: analysis.breakdown,
+        evidence: analysis.evidence,
+        suggestions: analysis.suggestions,
+        strengths: analysis.strengths,
+        weaknesses: analysis.weaknesses,
+        ocr,
+        layout,
+        language: analysis.language,
+        resumeText,
+        jobDescription,
+        createdAt: new Date().toISOString()
+      };
+
+      // Names, contact details and addresses are masked before anything is written
+      const saved = await store.create(redactReport(reportData));
+      analysis.reportId = saved._id;
+      analysis.project = project;
+      analysis.version = saved.version;
+
+      console.log('✅ Report saved');
+    } catch (err) {
+      console.log('⚠️ Failed to save report:', err.message);
+    }
+  }
+
+  return analysis;
+};
+
 // ✅ Analyze endpoint
-router.post('/analyze', upload.single('resume'), async (req, res) => {
+router.post('/analyze', rateLimit('analyze'), dailyQuota('analyses'), upload.single('resume'), async (req, res) => {
   try {
     console.log('📥 Analyze request received');
-    
+
+    const { error, input } = readAnalyzeRequest(req);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const analysis = await runAnalysis(input, req.user);
+
+    res.json({
+      success: true,
+      data: analysis
+    });
+
+  } catch (error) {
+    console.error('❌ Analyze error:', error.message);
+    console.error('Stack:', error.stack);
+
+    if (isUploadError(error)) {
+      return sendUploadError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to analyze resume',
+      error: error.message
+    });
+  }
+});
+
+// ---------- Background analysis jobs ----------
+
+const analysisQueue = createJobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || undefined,
+  maxQueued: parseInt(process.env.JOB_QUEUE_LIMIT, 10) || undefined
+});
+
+// Rough share of the work done when each stage starts
+const JOB_PROGRESS = { parsing: 5, scoring: 20, insights: 70, suggestions: 75, saving: 95 };
+
+// Interval between SSE comments that keep idle proxies (and server.timeout) from closing the stream
+const SSE_HEARTBEAT_MS = 15000;
+
+const jobLinks = (id) => ({
+  statusUrl: `/api/resume/jobs/${id}`,
+  eventsUrl: `/api/resume/jobs/${id}/events`,
+  resultUrl: `/api/resume/jobs/${id}/result`
+});
+
+// Jobs submitted while signed in are only visible to that user; anonymous jobs to anyone holding the id
+const findJob = (req, res) => {
+  const job = analysisQueue.get(req.params.id);
+
+  if (!job || (job.owner && (!req.user || req.user.id !== job.owner))) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+    return null;
+  }
+  return job;
+};
+
+// ✅ Submit an analysis job - same fields as /analyze, responds 202 with the job id straight away
+router.post('/jobs', rateLimit('analyze'), dailyQuota('analyses'), upload.single('resume'), (req, res) => {
+  try {
+    console.log('📥 Analysis job received');
+
+    const { error, input } = readAnalyzeRequest(req);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    // Reject bad files now rather than as a failed job
+    if (input.file) {
+      validateResumeFile(input.file);
+    }
+
+    const user = req.user;
+    const job = analysisQueue.submit(
+      reportProgress => runAnalysis(input, user, stage => reportProgress(stage, JOB_PROGRESS[stage])),
+      { owner: user ? user.id : null }
+    );
+
+    console.log('🕒 Job queued:', job.id);
+
+    res.status(202).json({
+      success: true,
+      data: { ...job, ...jobLinks(job.id) }
+    });
+  } catch (error) {
+    if (isUploadError(error)) {
+      return sendUploadError(res, error);
+    }
+
+    if (error.code === 'QUEUE_FULL') {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Job submit error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue analysis',
+      error: error.message
+    });
+  }
+});
+
+// ✅ Job status
+router.get('/jobs/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.json({
+    success: true,
+    data: { ...analysisQueue.getStatus(job.id), ...jobLinks(job.id) }
+  });
+});
+
+// ✅ Job progress as Server-Sent Events - "progress" on every change, then one "completed" or "failed"
+router.get('/jobs/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const onStatus = (status) => {
+    if (status.status === 'completed' || status.status === 'failed') {
+      send(status.status, { ...status, ...jobLinks(status.id) });
+      close();
+      res.end();
+      return;
+    }
+    send('progress', status);
+  };
+
+  unsubscribe = analysisQueue.subscribe(job.id, onStatus);
+  req.on('close', close);
+
+  onStatus(analysisQueue.getStatus(job.id));
+});
+
+// ✅ Job result - 202 while the job is still queued or running
+router.get('/jobs/:id/result', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  const status = analysisQueue.getStatus(job.id);
+
+  if (job.status === 'failed') {
+    return res.status(422).json({
+      success: false,
+      message: job.error,
+      error: job.errorCode || 'ANALYSIS_FAILED',
+      data: status
+    });
+  }
+
+  if (job.status !== 'completed') {
+    return res.status(202).json({
+      success: true,
+      message: 'Analysis is still in progress',
+      data: { ...status, ...jobLinks(job.id) }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job.result
+  });
+});
+
+// ✅ Recruiter mode - rank many resumes against one job description
+router.post('/batch', rateLimit('batch'), dailyQuota('batches'), batchUpload.array('resumes', MAX_BATCH_RESUMES), async (req, res) => {
+  try {
+    console.log('📥 Batch request received');
+
     const { jobDescription } = req.body;
-    const file = req.file;
+    const profileName = req.body.profile || DEFAULT_PROFILE;
+    const shortlistSize = parseInt(req.body.shortlistSize, 10) || 10;
+    const format = (req.query.format || req.body.format || 'json').toLowerCase();
+    const files = req.files || [];
 
-    // Validation
-    if (!file) {
-      console.log('❌ No file uploaded');
+    if (files.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Please upload a resume file (PDF or DOCX)'
+        message: 'Please upload one or more resume files (PDF, DOCX or a ZIP archive)'
       });
     }
 
-    console.log('📄 File received:', file.originalname, file.mimetype, file.size + ' bytes');
-
     if (!jobDescription || jobDescription.trim().length < 50) {
-      console.log('❌ Job description too short:', jobDescription?.length || 0);
       return res.status(400).json({
         success: false,
         message: 'Please provide a detailed job description (at least 50 characters)'
       });
     }
 
-    console.log('📄 Parsing resume...');
-    const resumeText = await parseResume(file);
-
-    if (!resumeText || resumeText.length < 100) {
-      console.log('❌ Could not extract enough text:', resumeText?.length || 0);
+    if (!hasProfile(profileName)) {
       return res.status(400).json({
         success: false,
-        message: 'Could not extract enough text from resume. Please ensure the file is readable and not a scanned image.'
+        message: `Unknown scoring profile "${profileName}"`,
+        availableProfiles: listProfiles().map(profile => profile.name)
       });
     }
 
-    console.log('✅ Resume parsed:', resumeText.length, 'characters');
-    console.log('📊 Calculating ATS score...');
-    const { totalScore, breakdown } = calculateATSScore(resumeText, jobDescription);
-
-    console.log('💡 Generating insights...');
-    const { strengths, weaknesses } = generateInsights(breakdown, resumeText, jobDescription);
+    const result = await rankCandidates(files, jobDescription, { profile: profileName, shortlistSize });
+    console.log('✅ Batch complete!', result.ranked, 'of', result.total, 'resumes ranked');
 
-    console.log('🤖 Generating AI suggestions...');
-    const suggestions = await generateAISuggestions(resumeText, jobDescription, breakdown);
-
-    console.log('✅ Analysis complete! Score:', totalScore);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="candidate-ranking.csv"');
+      return res.send(rankingToCsv(result.ranking));
+    }
 
-    const result = {
+    res.json({
       success: true,
       data: {
-        atsScore: totalScore,
-        breakdown,
-        strengths,
-        weaknesses,
-        suggestions,
-        resumeWordCount: resumeText.split(/\s+/).length,
+        profile: profileName,
+        ...result,
         analyzedAt: new Date().toISOString()
       }
-    };
+    });
+  } catch (error) {
+    console.error('❌ Batch error:', error.message);
 
-    // Save report to file
+    if (isUploadError(error)) {
+      return sendUploadError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rank resumes',
+      error: error.message
+    });
+  }
+});
+
+// Job descriptions arrive as a JSON string, repeated form fields or a JSON body array
+const readJobDescriptions = (value) => {
+  if (!value) {
+    return [];
+  }
+  if (typeof value === 'string') {
     try {
-      const reportData = {
-        _id: Date.now().toString(),
-        atsScore: totalScore,
-        breakdown,
-        suggestions,
-        strengths,
-        weaknesses,
-        createdAt: new Date().toISOString()
-      };
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+      return [value];
+    }
+  }
+  return Array.isArray(value) ? value : [value];
+};
 
-      const reports = readReports();
-      reports.unshift(reportData);
-      if (reports.length > 50) {
-        reports.splice(50);
-      }
-      writeReports(reports);
-      
-      console.log('✅ Report saved to file');
-    } catch (err) {
-      console.log('⚠️ Failed to save report:', err.message);
+// First job description that can't be scored as { index, message } (index as in the comparison results), or null
+const findInvalidJobDescription = (jobDescriptions) => {
+  for (let index = 0; index < jobDescriptions.length; index += 1) {
+    const job = jobDescriptions[index];
+    const isObject = Boolean(job) && typeof job === 'object' && !Array.isArray(job);
+    const description = isObject ? job.description : job;
+
+    if (typeof description !== 'string') {
+      return { index, message: `Job description ${index} must be a string or an object with a "description" string` };
+    }
+    if (isObject && job.title !== undefined && typeof job.title !== 'string') {
+      return { index, message: `Job description ${index} has a "title" that is not a string` };
     }
+    if (description.trim().length < 50) {
+      return { index, message: `Job description ${index} must be at least 50 characters` };
+    }
+  }
+  return null;
+};
 
-    res.json(result);
+// ✅ Candidate mode - compare one resume against several job descriptions
+router.post('/compare-jobs', rateLimit('compareJobs'), dailyQuota('analyses'), upload.single('resume'), async (req, res) => {
+  try {
+    console.log('📥 Compare jobs request received');
 
+    const profileName = req.body.profile || DEFAULT_PROFILE;
+    const jobDescriptions = readJobDescriptions(req.body.jobDescriptions);
+    const file = req.file;
+    const pastedText = req.body.resumeText;
+
+    if (!file && !pastedText) {
+      return res.status(400).json({
+        success: false,
+        message: MISSING_RESUME_MESSAGE
+      });
+    }
+
+    if (jobDescriptions.length < 2 || jobDescriptions.length > MAX_JOB_DESCRIPTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide between 2 and ${MAX_JOB_DESCRIPTIONS} job descriptions`
+      });
+    }
+
+    const invalid = findInvalidJobDescription(jobDescriptions);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid.message,
+        index: invalid.index
+      });
+    }
+
+    if (!hasProfile(profileName)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scoring profile "${profileName}"`,
+        availableProfiles: listProfiles().map(profile => profile.name)
+      });
+    }
+
+    console.log('📄 Parsing resume...');
+    const { text: resumeText, ocr } = await readResumeInput(file, pastedText);
+
+    if (!resumeText || resumeText.length < 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not extract enough text from resume. Please ensure the file is readable and not a scanned image.'
+      });
+    }
+
+    const comparison = await compareJobs(resumeText, jobDescriptions, { profile: profileName });
+    console.log('✅ Comparison complete! Best fit:', comparison.bestFit && comparison.bestFit.title);
+
+    res.json({
+      success: true,
+      data: {
+        profile: profileName,
+        ocr,
+        ...comparison,
+        analyzedAt: new Date().toISOString()
+      }
+    });
   } catch (error) {
-    console.error('❌ Analyze error:', error.message);
-    console.error('Stack:', error.stack);
-    
+    console.error('❌ Compare jobs error:', error.message);
+
+    if (isUploadError(error)) {
+      return sendUploadError(res, error);
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Failed to analyze resume',
+      message: 'Failed to compare job descriptions',
       error: error.message
     });
   }
 });
 
-// Get reports
-router.get('/reports', async (req, res) => {
+// List scoring profiles
+router.get('/profiles', (req, res) => {
+  res.json({
+    success: true,
+    data: listProfiles(),
+    default: DEFAULT_PROFILE
+  });
+});
+
+// Parse pagination and filter query parameters for the reports list
+const parseReportQuery = (query) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? 10 : Number(query.limit);
+  const filters = {};
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return { error: 'limit must be an integer between 1 and 100' };
+  }
+
+  for (const key of ['minScore', 'maxScore']) {
+    if (query[key] !== undefined) {
+      const value = Number(query[key]);
+      if (Number.isNaN(value)) {
+        return { error: `${key} must be a number` };
+      }
+      filters[key] = value;
+    }
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key] !== undefined) {
+      const value = new Date(query[key]);
+      if (Number.isNaN(value.getTime())) {
+        return { error: `${key} must be a valid date` };
+      }
+      filters[key] = value;
+    }
+  }
+
+  if (query.keyword) {
+    filters.keyword = String(query.keyword).trim();
+  }
+
+  if (query.project) {
+    filters.project = String(query.project).trim();
+  }
+
+  return { page, limit, filters };
+};
+
+// Get reports - paginated, filterable by project, score range, date range and keyword
+router.get('/reports', requireAuth, async (req, res) => {
   try {
     console.log('📊 Fetching reports...');
-    const reports = readReports();
+    const { page, limit, filters, error } = parseReportQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const store = getReportStore();
+    const userFilters = { ...filters, userId: req.user.id };
+    const [reports, total] = await Promise.all([
+      store.list({ limit, offset: (page - 1) * limit, filters: userFilters }),
+      store.count(userFilters)
+    ]);
     
     res.json({
       success: true,
-      data: reports.slice(0, 10),
-      total: reports.length
+      data: reports,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
     });
   } catch (error) {
     console.error('❌ Reports error:', error.message);
@@ -182,4 +659,203 @@ router.get('/reports', async (req, res) => {
   }
 });
 
+// Reports belonging to another user are reported as not found
+const findOwnReport = async (id, userId) => {
+  const report = await getReportStore().findById(id);
+  return report && report.userId === userId ? report : null;
+};
+
+// Diff two reports - base is the earlier version, target the later one
+router.get('/reports/compare', requireAuth, async (req, res) => {
+  try {
+    const { base: baseId, target: targetId } = req.query;
+
+    if (!baseId || !targetId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both base and target report ids are required'
+      });
+    }
+
+    const [base, target] = await Promise.all([
+      findOwnReport(baseId, req.user.id),
+      findOwnReport(targetId, req.user.id)
+    ]);
+
+    if (!base || !target) {
+      return res.status(404).json({
+        success: false,
+        message: `Report not found: ${!base ? baseId : targetId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: compareReports(base, target)
+    });
+  } catch (error) {
+    console.error('❌ Report compare error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare reports',
+      error: error.message
+    });
+  }
+});
+
+// Get a single report
+router.get('/reports/:id', requireAuth, async (req, res) => {
+  try {
+    const report = await findOwnReport(req.params.id, req.user.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Report fetch error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report',
+      error: error.message
+    });
+  }
+});
+
+// Download a report - ?format=pdf | docx | markdown | json
+router.get('/reports/:id/export', requireAuth, async (req, res) => {
+  try {
+    const format = resolveFormat(req.query.format || 'pdf');
+
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported export format "${req.query.format}"`,
+        availableFormats: Object.keys(EXPORT_FORMATS)
+      });
+    }
+
+    const report = await findOwnReport(req.params.id, req.user.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const { content, contentType, extension } = await exportReport(report, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="ats-report-${report._id}.${extension}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('❌ Report export error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export report',
+      error: error.message
+    });
+  }
+});
+
+// Delete a report
+router.delete('/reports/:id', requireAuth, async (req, res) => {
+  try {
+    const report = await findOwnReport(req.params.id, req.user.id);
+    const deleted = report ? await getReportStore().deleteById(req.params.id) : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Report deleted'
+    });
+  } catch (error) {
+    console.error('❌ Report delete error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete report',
+      error: error.message
+    });
+  }
+});
+
+// Resume projects - reports grouped by the project name given at analysis time
+router.get('/projects', requireAuth, async (req, res) => {
+  try {
+    const reports = await getReportStore().list({ limit: MAX_PROJECT_REPORTS, filters: { userId: req.user.id } });
+
+    res.json({
+      success: true,
+      data: summarizeProjects(reports)
+    });
+  } catch (error) {
+    console.error('❌ Projects error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch projects',
+      error: error.message
+    });
+  }
+});
+
+// Score trend across every version of a project
+router.get('/projects/:project/trend', requireAuth, async (req, res) => {
+  try {
+    const reports = await getReportStore().list({
+      limit: MAX_PROJECT_REPORTS,
+      filters: { userId: req.user.id, project: req.params.project }
+    });
+
+    if (reports.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        project: req.params.project,
+        ...buildScoreTrend(reports)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Project trend error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch project trend',
+      error: error.message
+    });
+  }
+});
+
+// Multer rejections (size and count limits, file filter) as coded upload errors
+router.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return sendUploadError(res, uploadError('FILE_TOO_LARGE', `File is too large (field "${err.field}")`));
+  }
+  if (err instanceof multer.MulterError && (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE')) {
+    return sendUploadError(res, uploadError('TOO_MANY_FILES', `${err.message} (field "${err.field}")`));
+  }
+  if (isUploadError(err)) {
+    return sendUploadError(res, err);
+  }
+  next(err);
+});
+
 module.exports = router;
@@ -7,13 +7,24 @@ dotenv.config();
 
 const app = express();
 
-// ✅ Allowed origins
-const allowedOrigins = [
+// ✅ Client IPs for rate limiting - no proxy is trusted unless TRUST_PROXY says so, otherwise any
+// client could spoof X-Forwarded-For. Behind Render's proxy set TRUST_PROXY=1 (hop count, or addresses/subnets)
+const parseTrustProxy = (value = 'false') => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value; // hop count, or addresses/subnets
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// ✅ Allowed origins - CORS_ORIGINS (comma-separated) replaces the defaults
+const DEFAULT_ORIGINS = [
   'https://sivaatschecker.netlify.app',
   'http://localhost:5173',
   'http://localhost:3000',
   'http://localhost:5174'
 ];
+const allowedOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : DEFAULT_ORIGINS;
 
 // ✅ CORS Configuration - NO credentials needed
 app.use(cors({
@@ -24,9 +35,9 @@ app.use(cors({
     if (allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      // Log unknown origins but still allow (for debugging)
+      // No CORS headers - the browser blocks the response (the request itself is refused below)
       console.log('⚠️ Request from unlisted origin:', origin);
-      callback(null, true);
+      callback(null, false);
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
@@ -38,6 +49,15 @@ app.use(cors({
 // Additional CORS headers
 app.use((req, res, next) => {
   const origin = req.headers.origin;
+
+  // Simple requests from other sites would still run - refuse them outright
+  if (origin && !allowedOrigins.includes(origin)) {
+    return res.status(403).json({
+      success: false,
+      message: `Origin ${origin} is not allowed`,
+      error: 'ORIGIN_NOT_ALLOWED'
+    });
+  }
   
   if (origin && allowedOrigins.includes(origin)) {
     res.setHeader('Access-Control-Allow-Origin', origin);
@@ -92,6 +112,18 @@ app.get('/test-cors', (req, res) => {
   });
 });
 
+// ✅ Auth Routes
+let authRoutesLoaded = false;
+try {
+  const authRoutes = require('./routes/auth');
+  app.use('/api/auth', authRoutes);
+  authRoutesLoaded = true;
+  console.log('✅ Auth routes loaded successfully');
+} catch (error) {
+  console.error('❌ Failed to load auth routes:', error.message);
+  console.error(error.stack);
+}
+
 // ✅ Resume Routes - with error handling
 let resumeRoutesLoaded = false;
 try {
@@ -144,6 +176,24 @@ if (process.env.MONGODB_URI) {
   console.log('ℹ️ MongoDB URI not configured, using file storage');
 }
 
+// ✅ Storage backends - picked once the MongoDB connection attempt has settled
+try {
+  const { selectStorage } = require('./storage');
+  selectStorage().catch((error) => {
+    console.error('❌ Failed to select storage:', error.message);
+  });
+} catch (error) {
+  console.error('❌ Failed to load storage:', error.message);
+}
+
+// ✅ Report retention - old reports are purged daily (REPORT_RETENTION_DAYS)
+try {
+  const { scheduleRetentionPurge } = require('./storage/retention');
+  scheduleRetentionPurge();
+} catch (error) {
+  console.error('❌ Failed to schedule report retention:', error.message);
+}
+
 // ✅ 404 Handler
 app.use((req, res) => {
   res.status(404).json({ 
@@ -155,8 +205,27 @@ app.use((req, res) => {
       health: 'GET /',
       healthCheck: 'GET /health',
       testCors: 'GET /test-cors',
+      register: 'POST /api/auth/register',
+      login: 'POST /api/auth/login',
+      refresh: 'POST /api/auth/refresh',
+      me: 'GET /api/auth/me',
+      exportMyData: 'GET /api/auth/me/export',
+      deleteMyData: 'DELETE /api/auth/me',
       analyze: 'POST /api/resume/analyze',
-      reports: 'GET /api/resume/reports'
+      submitJob: 'POST /api/resume/jobs',
+      jobStatus: 'GET /api/resume/jobs/:id',
+      jobEvents: 'GET /api/resume/jobs/:id/events',
+      jobResult: 'GET /api/resume/jobs/:id/result',
+      batch: 'POST /api/resume/batch',
+      compareJobs: 'POST /api/resume/compare-jobs',
+      profiles: 'GET /api/resume/profiles',
+      reports: 'GET /api/resume/reports',
+      report: 'GET /api/resume/reports/:id',
+      exportReport: 'GET /api/resume/reports/:id/export?format=pdf|docx|markdown|json',
+      compareReports: 'GET /api/resume/reports/compare?base=&target=',
+      projects: 'GET /api/resume/projects',
+      projectTrend: 'GET /api/resume/projects/:project/trend',
+      deleteReport: 'DELETE /api/resume/reports/:id'
     }
   });
 });
@@ -192,6 +261,7 @@ const server = app.listen(PORT, HOST, (err) => {
   console.log(`🔌 Port: ${PORT}`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📦 Resume Routes: ${resumeRoutesLoaded ? '✅ Loaded' : '❌ Failed'}`);
+  console.log(`🔐 Auth Routes: ${authRoutesLoaded ? '✅ Loaded' : '❌ Failed'}`);
   console.log(`🗄️  MongoDB: ${process.env.MONGODB_URI ? '✅ Configured' : 'ℹ️ File Storage'}`);
   console.log(`🌍 Allowed Origins:`);
   allowedOrigins.forEach(origin => console.log(`   - ${origin}`));
@@ -200,6 +270,7 @@ const server = app.listen(PORT, HOST, (err) => {
 });
 
 // ✅ Server timeout settings (important for Render)
+// Synchronous /analyze still needs these - background jobs (/api/resume/jobs) don't hold the request open
 server.keepAliveTimeout = 120000; // 2 minutes
 server.headersTimeout = 120000;
 server.timeout = 120000;
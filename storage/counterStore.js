@@ -0,0 +1,134 @@
+const { createJsonFile } = require('./jsonFile');
+
+// Fixed-window counters for rate limits and quotas - same file / mongodb / memory choice as reports
+// increment(key, windowMs) resolves to { count, resetAt } where resetAt is a timestamp in ms
+// decrement(key) takes one count back from the current window (refunds), never below zero
+
+// Expired counters are dropped once the memory store grows past this
+const MEMORY_PRUNE_THRESHOLD = 10000;
+
+const createMemoryCounterStore = () => {
+  const counters = new Map();
+
+  const prune = (now) => {
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    });
+  };
+
+  return {
+    type: 'memory',
+
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        if (counters.size >= MEMORY_PRUNE_THRESHOLD) {
+          prune(now);
+        }
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    decrement: async (key) => {
+      const counter = counters.get(key);
+      if (counter && counter.resetAt > Date.now() && counter.count > 0) {
+        counter.count -= 1;
+      }
+    }
+  };
+};
+
+const createFileCounterStore = ({ filePath }) => {
+  const { readAll, writeAll, exclusive } = createJsonFile(filePath);
+
+  return {
+    type: 'file',
+
+    increment: (key, windowMs) => exclusive(async () => {
+      const now = Date.now();
+      const counters = (await readAll()).filter(counter => counter.resetAt > now);
+      let counter = counters.find(existing => existing.key === key);
+
+      if (!counter) {
+        counter = { key, count: 0, resetAt: now + windowMs };
+        counters.push(counter);
+      }
+
+      counter.count += 1;
+      await writeAll(counters);
+      return { count: counter.count, resetAt: counter.resetAt };
+    }),
+
+    decrement: key => exclusive(async () => {
+      const now = Date.now();
+      const counters = (await readAll()).filter(counter => counter.resetAt > now);
+      const counter = counters.find(existing => existing.key === key);
+
+      if (counter && counter.count > 0) {
+        counter.count -= 1;
+        await writeAll(counters);
+      }
+    })
+  };
+};
+
+const createMongoCounterStore = () => {
+  const mongoose = require('mongoose');
+  const RateCounter = require('../models/RateCounter');
+
+  return {
+    type: 'mongodb',
+
+    isConnected: () => mongoose.connection.readyState === 1,
+
+    increment: async (key, windowMs) => {
+      const now = new Date();
+
+      // Count within the current window, or start a new one
+      let counter = await RateCounter.findOneAndUpdate(
+        { key, resetAt: { $gt: now } },
+        { $inc: { count: 1 } },
+        { new: true }
+      ).lean();
+
+      if (!counter) {
+        try {
+          counter = await RateCounter.findOneAndUpdate(
+            { key, resetAt: { $lte: now } },
+            { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+            { new: true, upsert: true }
+          ).lean();
+        } catch (error) {
+          // Another request opened the window first - count in it
+          if (error.code !== 11000) {
+            throw error;
+          }
+          counter = await RateCounter.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true }).lean();
+        }
+      }
+
+      return { count: counter.count, resetAt: counter.resetAt.getTime() };
+    },
+
+    decrement: async (key) => {
+      await RateCounter.updateOne(
+        { key, resetAt: { $gt: new Date() }, count: { $gt: 0 } },
+        { $inc: { count: -1 } }
+      );
+    }
+  };
+};
+
+module.exports = {
+  createMemoryCounterStore,
+  createFileCounterStore,
+  createMongoCounterStore
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+const { matchesFilters, nextVersion, capUserReports } = require('./filters');
+
+// JSON file backend for reports
+// maxReports is per user; versions within a project are assigned here, under the file lock
+
+const SUMMARY_EXCLUDED_FIELDS = ['resumeText', 'jobDescription'];
+
+const toSummary = (report) => {
+  const summary = { ...report };
+  SUMMARY_EXCLUDED_FIELDS.forEach(field => delete summary[field]);
+  return summary;
+};
+
+const createFileStore = ({ filePath, maxReports = 1000 }) => {
+  const { readAll, writeAll, exclusive } = createJsonFile(filePath);
+
+  return {
+    type: 'file',
+
+    create: (report) => exclusive(async () => {
+      const reports = await readAll();
+      const saved = { _id: report._id || crypto.randomUUID(), ...report, version: nextVersion(reports, report) };
+
+      await writeAll(capUserReports([saved, ...reports], saved.userId, maxReports));
+      return saved;
+    }),
+
+    list: async ({ limit = 10, offset = 0, filters } = {}) => {
+      const reports = await readAll();
+      return reports
+        .filter(report => matchesFilters(report, filters))
+        .slice(offset, offset + limit)
+        .map(toSummary);
+    },
+
+    count: async (filters) => (await readAll()).filter(report => matchesFilters(report, filters)).length,
+
+    findById: async (id) => {
+      const reports = await readAll();
+      return reports.find(report => report._id === id) || null;
+    },
+
+    // Full reports (resume text included), newest first
+    findMany: async (filters) => (await readAll()).filter(report => matchesFilters(report, filters)),
+
+    deleteById: (id) => exclusive(async () => {
+      const reports = await readAll();
+      const remaining = reports.filter(report => report._id !== id);
+
+      if (remaining.length === reports.length) {
+        return false;
+      }
+      await writeAll(remaining);
+      return true;
+    }),
+
+    // Resolves to the number of reports removed
+    deleteMany: (filters) => exclusive(async () => {
+      const reports = await readAll();
+      const remaining = reports.filter(report => !matchesFilters(report, filters));
+
+      if (remaining.length < reports.length) {
+        await writeAll(remaining);
+      }
+      return reports.length - remaining.length;
+    })
+  };
+};
+
+module.exports = {
+  createFileStore,
+  toSummary
+};
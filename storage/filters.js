@@ -0,0 +1,72 @@
+// Report list filters and save rules shared by the file and in-memory backends
+// filters: { userId, project, minScore, maxScore, from, to, keyword }
+
+const searchableText = (report) => {
+  const keywordEvidence = report.evidence && report.evidence.keywordMatch
+    ? [...report.evidence.keywordMatch.matched, ...report.evidence.keywordMatch.missed].map(item => item.keyword)
+    : [];
+
+  return [
+    report.jobDescription,
+    ...(report.strengths || []),
+    ...(report.weaknesses || []),
+    ...(report.suggestions || []).map(suggestion => suggestion.message),
+    ...keywordEvidence
+  ].filter(Boolean).join('\n').toLowerCase();
+};
+
+const matchesFilters = (report, filters = {}) => {
+  const { userId, project, minScore, maxScore, from, to, keyword } = filters;
+  const createdAt = new Date(report.createdAt);
+
+  if (userId !== undefined && report.userId !== userId) {
+    return false;
+  }
+  if (project !== undefined && report.project !== project) {
+    return false;
+  }
+  if (minScore !== undefined && report.atsScore < minScore) {
+    return false;
+  }
+  if (maxScore !== undefined && report.atsScore > maxScore) {
+    return false;
+  }
+  if (from && createdAt < from) {
+    return false;
+  }
+  if (to && createdAt > to) {
+    return false;
+  }
+  if (keyword && !searchableText(report).includes(keyword.toLowerCase())) {
+    return false;
+  }
+  return true;
+};
+
+// Next version number within a user's project - one past the highest, so deletes never reuse one
+const nextVersion = (reports, { userId, project }) => {
+  if (!project) {
+    return null;
+  }
+  return reports
+    .filter(report => report.userId === userId && report.project === project)
+    .reduce((highest, report) => Math.max(highest, report.version || 0), 0) + 1;
+};
+
+// Drop a user's oldest reports beyond the limit (reports are newest first) - other users are untouched
+const capUserReports = (reports, userId, maxReports) => {
+  let kept = 0;
+  return reports.filter((report) => {
+    if (report.userId !== userId) {
+      return true;
+    }
+    kept += 1;
+    return kept <= maxReports;
+  });
+};
+
+module.exports = {
+  matchesFilters,
+  nextVersion,
+  capUserReports
+};
@@ -0,0 +1,173 @@
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createMemoryStore } = require('./memoryStore');
+const { createMongoStore } = require('./mongoStore');
+const { createFileUserStore, createMemoryUserStore, createMongoUserStore } = require('./userStore');
+const { createMemoryCounterStore, createFileCounterStore, createMongoCounterStore } = require('./counterStore');
+
+// Report storage selection
+// REPORT_STORAGE = file | mongodb | memory (defaults to mongodb when MONGODB_URI is set, file otherwise)
+// Rate limit counters are separate: RATE_LIMIT_STORAGE = memory (default) | file | mongodb
+
+const reportsFile = process.env.REPORTS_FILE || path.join(__dirname, '../reports/reports.json');
+const usersFile = process.env.USERS_FILE || path.join(__dirname, '../reports/users.json');
+const rateLimitsFile = process.env.RATE_LIMITS_FILE || path.join(__dirname, '../reports/rate-limits.json');
+// Reports kept per user by the file and memory backends (older ones also expire, see retention)
+const maxReports = parseInt(process.env.REPORTS_FILE_LIMIT, 10) || 1000;
+
+const REPORT_METHODS = ['create', 'list', 'count', 'findById', 'findMany', 'deleteById', 'deleteMany'];
+const USER_METHODS = ['create', 'findByEmail', 'findById', 'deleteById'];
+const COUNTER_METHODS = ['increment', 'decrement'];
+
+const resolveStorageType = (type) => {
+  return type || process.env.REPORT_STORAGE || (process.env.MONGODB_URI ? 'mongodb' : 'file');
+};
+
+// Resolves once the startup connection attempt has settled: true when MongoDB is connected
+const waitForMongo = () => {
+  const { connection } = require('mongoose');
+  if (connection.readyState !== 2) {
+    return Promise.resolve(connection.readyState === 1);
+  }
+  return new Promise((resolve) => {
+    const settle = (connected) => () => {
+      connection.off('connected', onConnected);
+      connection.off('disconnected', onFailed);
+      connection.off('error', onFailed);
+      resolve(connected);
+    };
+    const onConnected = settle(true);
+    const onFailed = settle(false);
+    connection.on('connected', onConnected);
+    connection.on('disconnected', onFailed);
+    connection.on('error', onFailed);
+  });
+};
+
+// MongoDB if the startup connection succeeded, the file store otherwise - chosen once, so a
+// dropped connection later can't split a user's data between the two backends
+const withFileFallback = (mongoStore, fileStore, methods) => {
+  const store = { type: 'mongodb' };
+  let selected = null;
+
+  const select = () => {
+    if (!selected) {
+      selected = waitForMongo().then(connected => (connected ? mongoStore : fileStore));
+    }
+    return selected;
+  };
+
+  methods.forEach((method) => {
+    store[method] = async (...args) => (await select())[method](...args);
+  });
+
+  store.activeType = async () => (await select()).type;
+  return store;
+};
+
+const createReportStore = (type) => {
+  const storageType = resolveStorageType(type);
+
+  switch (storageType) {
+    case 'memory':
+      return createMemoryStore({ maxReports });
+    case 'mongodb':
+      return withFileFallback(createMongoStore(), createFileStore({ filePath: reportsFile, maxReports }), REPORT_METHODS);
+    case 'file':
+      return createFileStore({ filePath: reportsFile, maxReports });
+    default:
+      throw new Error(`Unknown REPORT_STORAGE "${storageType}" - use file, mongodb or memory`);
+  }
+};
+
+const createUserStore = (type) => {
+  const storageType = resolveStorageType(type);
+
+  switch (storageType) {
+    case 'memory':
+      return createMemoryUserStore();
+    case 'mongodb':
+      return withFileFallback(createMongoUserStore(), createFileUserStore({ filePath: usersFile }), USER_METHODS);
+    case 'file':
+      return createFileUserStore({ filePath: usersFile });
+    default:
+      throw new Error(`Unknown REPORT_STORAGE "${storageType}" - use file, mongodb or memory`);
+  }
+};
+
+// Counters only persist across restarts with a file or mongodb backend
+const createCounterStore = (type) => {
+  const storageType = type || process.env.RATE_LIMIT_STORAGE || 'memory';
+
+  switch (storageType) {
+    case 'memory':
+      return createMemoryCounterStore();
+    case 'mongodb':
+      return withFileFallback(createMongoCounterStore(), createFileCounterStore({ filePath: rateLimitsFile }), COUNTER_METHODS);
+    case 'file':
+      return createFileCounterStore({ filePath: rateLimitsFile });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORAGE "${storageType}" - use memory, file or mongodb`);
+  }
+};
+
+let reportStore = null;
+let userStore = null;
+let counterStore = null;
+
+const getReportStore = () => {
+  if (!reportStore) {
+    reportStore = createReportStore();
+  }
+  return reportStore;
+};
+
+// Swap the backend (e.g. an in-memory store in tests)
+const setReportStore = (store) => {
+  reportStore = store;
+};
+
+const getUserStore = () => {
+  if (!userStore) {
+    userStore = createUserStore();
+  }
+  return userStore;
+};
+
+const setUserStore = (store) => {
+  userStore = store;
+};
+
+const getCounterStore = () => {
+  if (!counterStore) {
+    counterStore = createCounterStore();
+  }
+  return counterStore;
+};
+
+const setCounterStore = (store) => {
+  counterStore = store;
+};
+
+const resolvedType = async (store) => (store.activeType ? store.activeType() : store.type);
+
+// Settles every backend at startup instead of on the first request that needs it
+const selectStorage = async () => {
+  const reports = await resolvedType(getReportStore());
+  const users = await resolvedType(getUserStore());
+  const counters = await resolvedType(getCounterStore());
+  console.log(`🗄️  Storage: reports=${reports}, users=${users}, rate limits=${counters}`);
+};
+
+module.exports = {
+  selectStorage,
+  createReportStore,
+  getReportStore,
+  setReportStore,
+  createUserStore,
+  getUserStore,
+  setUserStore,
+  createCounterStore,
+  getCounterStore,
+  setCounterStore
+};
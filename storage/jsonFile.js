@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+// A JSON array on disk - changes are serialized and written atomically (temp file + rename)
+
+const createJsonFile = (filePath) => {
+  let queue = Promise.resolve();
+  let tempCounter = 0;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const readAll = async () => {
+    try {
+      const data = await fs.promises.readFile(filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log('⚠️ Read error:', error.message);
+      }
+      return [];
+    }
+  };
+
+  const writeAll = async (items) => {
+    const tempFile = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(items, null, 2));
+    await fs.promises.rename(tempFile, filePath);
+  };
+
+  // Read-modify-write cycles run one at a time so concurrent requests cannot lose updates
+  const exclusive = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    readAll,
+    writeAll,
+    exclusive
+  };
+};
+
+module.exports = {
+  createJsonFile
+};
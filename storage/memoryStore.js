@@ -0,0 +1,58 @@
+const { toSummary } = require('./fileStore');
+const { matchesFilters, nextVersion, capUserReports } = require('./filters');
+
+// In-memory backend - nothing survives a restart, meant for tests and local experiments
+
+const createMemoryStore = ({ maxReports = 1000 } = {}) => {
+  let reports = [];
+  let lastId = 0;
+
+  // Millisecond timestamps collide when reports are saved in the same tick
+  const nextId = () => {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId.toString();
+  };
+
+  return {
+    type: 'memory',
+
+    create: async (report) => {
+      const saved = { _id: report._id || nextId(), ...report, version: nextVersion(reports, report) };
+      reports = capUserReports([saved, ...reports], saved.userId, maxReports);
+      return saved;
+    },
+
+    list: async ({ limit = 10, offset = 0, filters } = {}) => {
+      return reports
+        .filter(report => matchesFilters(report, filters))
+        .slice(offset, offset + limit)
+        .map(toSummary);
+    },
+
+    count: async (filters) => reports.filter(report => matchesFilters(report, filters)).length,
+
+    findById: async (id) => reports.find(report => report._id === id) || null,
+
+    findMany: async (filters) => reports.filter(report => matchesFilters(report, filters)),
+
+    deleteById: async (id) => {
+      const before = reports.length;
+      reports = reports.filter(report => report._id !== id);
+      return reports.length < before;
+    },
+
+    deleteMany: async (filters) => {
+      const before = reports.length;
+      reports = reports.filter(report => !matchesFilters(report, filters));
+      return before - reports.length;
+    },
+
+    clear: async () => {
+      reports = [];
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
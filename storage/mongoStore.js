@@ -0,0 +1,131 @@
+// MongoDB backend built on the Report model
+
+const toPlain = (doc) => {
+  if (!doc) {
+    return null;
+  }
+  const report = doc.toObject ? doc.toObject() : doc;
+  return { ...report, _id: report._id.toString(), __v: undefined };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Same filters as storage/filters.js, as a MongoDB query
+const buildQuery = (filters = {}) => {
+  const { userId, project, minScore, maxScore, from, to, keyword } = filters;
+  const query = {};
+
+  if (userId !== undefined) {
+    query.userId = userId;
+  }
+  if (project !== undefined) {
+    query.project = project;
+  }
+
+  if (minScore !== undefined || maxScore !== undefined) {
+    query.atsScore = {};
+    if (minScore !== undefined) query.atsScore.$gte = minScore;
+    if (maxScore !== undefined) query.atsScore.$lte = maxScore;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  if (keyword) {
+    const regex = new RegExp(escapeRegex(keyword), 'i');
+    query.$or = [
+      { jobDescription: regex },
+      { strengths: regex },
+      { weaknesses: regex },
+      { 'suggestions.message': regex },
+      { 'evidence.keywordMatch.matched.keyword': regex },
+      { 'evidence.keywordMatch.missed.keyword': regex }
+    ];
+  }
+
+  return query;
+};
+
+const MAX_VERSION_ATTEMPTS = 5;
+
+const createMongoStore = () => {
+  const mongoose = require('mongoose');
+  const Report = require('../models/Report');
+
+  const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+  return {
+    type: 'mongodb',
+
+    isConnected: () => mongoose.connection.readyState === 1,
+
+    // Versions are one past the project's highest - a unique index turns a concurrent save
+    // that picked the same number into a retry
+    create: async (report) => {
+      const { _id, ...fields } = report;
+
+      for (let attempt = 1; ; attempt += 1) {
+        let version = null;
+        if (fields.project) {
+          const latest = await Report.findOne({ userId: fields.userId, project: fields.project, version: { $type: 'number' } })
+            .sort({ version: -1 })
+            .select('version')
+            .lean();
+          version = (latest ? latest.version : 0) + 1;
+        }
+
+        try {
+          return toPlain(await Report.create({ ...fields, version }));
+        } catch (error) {
+          if (error.code !== 11000 || !fields.project || attempt >= MAX_VERSION_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    },
+
+    list: async ({ limit = 10, offset = 0, filters } = {}) => {
+      const docs = await Report.find(buildQuery(filters))
+        .select('-resumeText -jobDescription')
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean();
+      return docs.map(toPlain);
+    },
+
+    count: (filters) => Report.countDocuments(buildQuery(filters)),
+
+    findById: async (id) => {
+      if (!isValidId(id)) {
+        return null;
+      }
+      return toPlain(await Report.findById(id).lean());
+    },
+
+    findMany: async (filters) => {
+      const docs = await Report.find(buildQuery(filters)).sort({ createdAt: -1 }).lean();
+      return docs.map(toPlain);
+    },
+
+    deleteById: async (id) => {
+      if (!isValidId(id)) {
+        return false;
+      }
+      const result = await Report.deleteOne({ _id: id });
+      return result.deletedCount > 0;
+    },
+
+    deleteMany: async (filters) => {
+      const result = await Report.deleteMany(buildQuery(filters));
+      return result.deletedCount;
+    }
+  };
+};
+
+module.exports = {
+  createMongoStore
+};
@@ -0,0 +1,50 @@
+const { getReportStore } = require('./index');
+
+// Reports older than REPORT_RETENTION_DAYS are purged automatically (0 keeps them forever)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = DAY_MS;
+// First purge waits for MongoDB to connect, otherwise it would only reach the file fallback
+const FIRST_PURGE_DELAY_MS = 60 * 1000;
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.REPORT_RETENTION_DAYS, 10);
+  return Number.isNaN(days) ? 365 : Math.max(0, days);
+};
+
+// Resolves to the number of reports removed
+const purgeExpiredReports = async (store = getReportStore()) => {
+  const days = getRetentionDays();
+  if (days === 0) {
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  const deleted = await store.deleteMany({ to: cutoff });
+
+  if (deleted > 0) {
+    console.log(`🧹 Purged ${deleted} report(s) older than ${days} days`);
+  }
+  return deleted;
+};
+
+// Runs the purge once shortly after startup, then daily - timers never keep the process alive
+const scheduleRetentionPurge = () => {
+  if (getRetentionDays() === 0) {
+    console.log('ℹ️ Report retention disabled - reports are kept until deleted');
+    return;
+  }
+
+  const run = () => {
+    purgeExpiredReports().catch(error => console.log('⚠️ Report purge failed:', error.message));
+  };
+
+  setTimeout(run, FIRST_PURGE_DELAY_MS).unref();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeExpiredReports,
+  scheduleRetentionPurge
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+// User account backends - same file / mongodb / memory choice as reports
+
+const createFileUserStore = ({ filePath }) => {
+  const { readAll, writeAll, exclusive } = createJsonFile(filePath);
+
+  return {
+    type: 'file',
+
+    create: (user) => exclusive(async () => {
+      const users = await readAll();
+      if (users.some(existing => existing.email === user.email)) {
+        const error = new Error('Email already registered');
+        error.code = 'DUPLICATE_EMAIL';
+        throw error;
+      }
+
+      const saved = { _id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...user };
+      users.push(saved);
+      await writeAll(users);
+      return saved;
+    }),
+
+    findByEmail: async (email) => (await readAll()).find(user => user.email === email) || null,
+
+    findById: async (id) => (await readAll()).find(user => user._id === id) || null,
+
+    deleteById: (id) => exclusive(async () => {
+      const users = await readAll();
+      const remaining = users.filter(user => user._id !== id);
+      await writeAll(remaining);
+      return remaining.length < users.length;
+    })
+  };
+};
+
+const createMemoryUserStore = () => {
+  let users = [];
+
+  return {
+    type: 'memory',
+
+    create: async (user) => {
+      if (users.some(existing => existing.email === user.email)) {
+        const error = new Error('Email already registered');
+        error.code = 'DUPLICATE_EMAIL';
+        throw error;
+      }
+
+      const saved = { _id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...user };
+      users.push(saved);
+      return saved;
+    },
+
+    findByEmail: async (email) => users.find(user => user.email === email) || null,
+
+    findById: async (id) => users.find(user => user._id === id) || null,
+
+    deleteById: async (id) => {
+      const before = users.length;
+      users = users.filter(user => user._id !== id);
+      return users.length < before;
+    }
+  };
+};
+
+const createMongoUserStore = () => {
+  const mongoose = require('mongoose');
+  const User = require('../models/User');
+
+  const toPlain = (doc) => (doc ? { ...doc, _id: doc._id.toString(), __v: undefined } : null);
+
+  return {
+    type: 'mongodb',
+
+    isConnected: () => mongoose.connection.readyState === 1,
+
+    create: async (user) => {
+      try {
+        const doc = await User.create(user);
+        return toPlain(doc.toObject());
+      } catch (error) {
+        if (error.code === 11000) {
+          error.code = 'DUPLICATE_EMAIL';
+        }
+        throw error;
+      }
+    },
+
+    findByEmail: async (email) => toPlain(await User.findOne({ email }).lean()),
+
+    findById: async (id) => {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+      }
+      return toPlain(await User.findById(id).lean());
+    },
+
+    deleteById: async (id) => {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return false;
+      }
+      const result = await User.deleteOne({ _id: id });
+      return result.deletedCount > 0;
+    }
+  };
+};
+
+module.exports = {
+  createFileUserStore,
+  createMemoryUserStore,
+  createMongoUserStore
+};
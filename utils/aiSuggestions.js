@@ -1,85 +1,119 @@
 const compromise = require('compromise');
+const { findSkills, normalizeSkill, getRelatedSkills } = require('./skillTaxonomy');
+const { getProfile } = require('./scoringProfiles');
+const { extractSections } = require('./resumeParser');
+const { extractExperience } = require('./experienceParser');
+const { loadPipeline } = require('./localModels');
+const { getLanguage, extractTerms, stemSet, findPronouns, findActionVerbs } = require('./languages');
 
 // Note: HuggingFace Transformers is optional and can slow down the app
-// We're using rule-based suggestions for speed
+// Bullet rewrites use a local text2text model when one is installed, rule-based rewrites otherwise
 
-let transformersAvailable = false;
-let pipeline = null;
-
-// Try to load transformers (optional)
-try {
-  const transformers = require('@huggingface/transformers');
-  pipeline = transformers.pipeline;
-  transformersAvailable = true;
-  console.log('✅ HuggingFace Transformers loaded (optional AI features enabled)');
-} catch (error) {
-  console.log('⚠️ HuggingFace Transformers not available - using rule-based suggestions only');
-}
-
-let summarizer = null;
+const REWRITE_MODEL = process.env.REWRITE_MODEL || 'Xenova/flan-t5-small';
+const MAX_REWRITES = 5;
 
 // Initialize AI model (lazy loading) - Optional
 const initializeAI = async () => {
-  if (!transformersAvailable || !pipeline) {
-    return null;
-  }
-
-  if (!summarizer) {
-    try {
-      console.log('🤖 Loading AI model...');
-      summarizer = await pipeline('summarization', 'Xenova/distilbart-cnn-6-6');
-      console.log('✅ AI model loaded');
-    } catch (error) {
-      console.log('⚠️ Could not load AI model:', error.message);
-      return null;
-    }
-  }
-  return summarizer;
+  return loadPipeline('text2text-generation', REWRITE_MODEL);
 };
 
 // Generate AI-powered suggestions
-const generateAISuggestions = async (resumeText, jobDescription, breakdown) => {
+// options.rewriteBullets opts in to before/after bullet rewrites (slower)
+// options.layout adds one suggestion per PDF layout finding
+// options.language holds the detected language codes { resume, jobDescription }
+// options.writing adds one suggestion per kind of writing finding (spelling, tense, ...)
+const generateAISuggestions = async (resumeText, jobDescription, breakdown, options = {}) => {
   const suggestions = [];
+  const resumeLanguage = getLanguage(options.language && options.language.resume);
+  const jdLanguage = getLanguage(options.language && options.language.jobDescription);
 
   try {
     // Rule-based suggestions (fast and accurate)
-    const ruleBased = generateRuleBasedSuggestions(resumeText, jobDescription, breakdown);
-    suggestions.push(...ruleBased);
-
-    // AI-powered suggestions (optional - can be slow, disabled by default)
-    /* Uncomment to enable AI suggestions
-    try {
-      const ai = await initializeAI();
-      if (ai) {
+    const ruleBased = generateRuleBasedSuggestions(resumeText, jobDescription, breakdown, getProfile(options.profile), resumeLanguage, jdLanguage);
+    suggestions.push(...ruleBased.slice(0, 10)); // Keep top 10 suggestions
+
+    // Layout problems found in the PDF (severity doubles as priority)
+    if (options.layout) {
+      suggestions.push(...options.layout.findings.map(finding => ({
+        category: 'Layout',
+        message: `${finding.message}. ${finding.suggestion}`,
+        priority: finding.severity
+      })));
+    }
+
+    // Located writing problems from the readability checks, grouped by kind
+    if (options.writing) {
+      suggestions.push(...writingSuggestions(options.writing));
+    }
+
+    // AI-powered bullet rewrites (optional - can be slow, disabled by default)
+    // The rewrite rules and the model only handle English bullets
+    if (options.rewriteBullets && resumeLanguage.code === 'en') {
+      try {
         const aiSuggestions = await generateAIBasedSuggestions(resumeText, jobDescription);
         suggestions.push(...aiSuggestions);
+      } catch (aiError) {
+        console.log('⚠️ Bullet rewrites unavailable:', aiError.message);
       }
-    } catch (aiError) {
-      console.log('⚠️ AI suggestions unavailable, using rule-based only');
     }
-    */
 
   } catch (error) {
     console.error('Error generating suggestions:', error);
   }
 
-  return suggestions.slice(0, 10); // Return top 10 suggestions
+  return suggestions;
+};
+
+const WRITING_SUGGESTIONS = {
+  spelling: { category: 'Spelling', lead: 'Fix possible typos', priority: 'high' },
+  tense: { category: 'Writing Style', lead: 'Use the past tense for previous roles and one tense per role', priority: 'medium' },
+  repeatedWord: { category: 'Writing Style', lead: 'Remove repeated words', priority: 'medium' },
+  passiveVoice: { category: 'Writing Style', lead: 'Rewrite passive phrases in the active voice', priority: 'low' },
+  longSentence: { category: 'Writing Style', lead: 'Shorten long sentences', priority: 'low' }
 };
+const MAX_WRITING_EXAMPLES = 3;
+
+const writingSuggestions = (findings) => Object.entries(WRITING_SUGGESTIONS)
+  .map(([type, { category, lead, priority }]) => {
+    const matching = findings.filter(finding => finding.type === type);
+    if (matching.length === 0) {
+      return null;
+    }
+    const examples = matching.slice(0, MAX_WRITING_EXAMPLES).map(finding =>
+      (type === 'spelling' ? `${finding.message} (${finding.suggestion.toLowerCase()})` : finding.message));
+    const more = matching.length > MAX_WRITING_EXAMPLES ? ` and ${matching.length - MAX_WRITING_EXAMPLES} more` : '';
+    return { category, message: `${lead}: ${examples.join('; ')}${more}`, priority };
+  })
+  .filter(Boolean);
 
 // Rule-based suggestions (main logic)
-const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) => {
+const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown, profile, resumeLanguage = getLanguage(), jdLanguage = getLanguage()) => {
   const suggestions = [];
-  const doc = compromise(resumeText);
-  const jdDoc = compromise(jobDescription);
+  const english = resumeLanguage.code === 'en';
 
   // Extract keywords from JD
-  const jdKeywords = extractImportantKeywords(jobDescription);
+  const jdKeywords = extractImportantKeywords(jobDescription, jdLanguage);
   const resumeLower = resumeText.toLowerCase();
+  const resumeSkills = findSkills(resumeText);
+  const jdSkills = findSkills(jobDescription);
+  // Missing sections are judged by headings, in any supported language (see extractSections)
+  const headingSections = new Set(extractSections(resumeText).headings.map(heading => heading.section));
+  const resumeStems = jdLanguage.code === 'en' ? null : stemSet(resumeText, jdLanguage);
+
+  // Skills are compared by canonical name, everything else as plain text (by stem outside English)
+  const hasKeyword = (keyword) => {
+    const skill = normalizeSkill(keyword);
+    if (skill) {
+      return resumeSkills.includes(skill);
+    }
+    return resumeStems ? resumeStems.has(jdLanguage.stem(keyword)) : resumeLower.includes(keyword.toLowerCase());
+  };
 
   // 1. Missing Keywords
-  const missingKeywords = jdKeywords.filter(keyword => 
-    !resumeLower.includes(keyword.toLowerCase())
-  ).slice(0, 5);
+  const missingKeywords = jdKeywords
+    .filter(keyword => !hasKeyword(keyword))
+    .map(keyword => normalizeSkill(keyword) || keyword)
+    .slice(0, 5);
 
   if (missingKeywords.length > 0) {
     suggestions.push({
@@ -91,21 +125,21 @@ const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) =>
 
   // 2. Formatting Issues
   if (breakdown.formatting < 70) {
-    if (!resumeText.match(/experience|work history/i)) {
+    if (!headingSections.has('experience')) {
       suggestions.push({
         category: 'Structure',
         message: 'Add a clear "Work Experience" or "Professional Experience" section',
         priority: 'high'
       });
     }
-    if (!resumeText.match(/skills|technical skills/i)) {
+    if (!headingSections.has('skills')) {
       suggestions.push({
         category: 'Structure',
         message: 'Include a dedicated "Skills" section with relevant technical skills',
         priority: 'high'
       });
     }
-    if (!resumeText.match(/education/i)) {
+    if (!headingSections.has('education')) {
       suggestions.push({
         category: 'Structure',
         message: 'Add an "Education" section with your academic qualifications',
@@ -115,12 +149,17 @@ const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) =>
   }
 
   // 3. Action Verbs
-  const actionVerbs = (resumeText.match(/\b(managed|led|developed|created|implemented|designed|built|improved|achieved|delivered|coordinated|analyzed|optimized|spearheaded|executed|established)\b/gi) || []).length;
-  
+  const actionVerbs = english
+    ? (resumeText.match(/\b(managed|led|developed|created|implemented|designed|built|improved|achieved|delivered|coordinated|analyzed|optimized|spearheaded|executed|established)\b/gi) || []).length
+    : findActionVerbs(resumeText, resumeLanguage).length;
+  const verbExamples = english
+    ? ['Developed', 'Led', 'Implemented', 'Optimized']
+    : resumeLanguage.actionVerbs.slice(0, 4).map(verb => verb.charAt(0).toUpperCase() + verb.slice(1));
+
   if (actionVerbs < 3) {
     suggestions.push({
       category: 'Content',
-      message: 'Start bullet points with strong action verbs (e.g., "Developed", "Led", "Implemented", "Optimized")',
+      message: `Start bullet points with strong action verbs (e.g., ${verbExamples.map(verb => `"${verb}"`).join(', ')})`,
       priority: 'medium'
     });
   }
@@ -146,33 +185,38 @@ const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) =>
   }
 
   // 6. Personal Pronouns
-  const pronouns = (resumeText.match(/\b(i|me|my|mine)\b/gi) || []).length;
+  const pronouns = english
+    ? (resumeText.match(/\b(i|me|my|mine)\b/gi) || []).length
+    : findPronouns(resumeText, resumeLanguage).length;
   if (pronouns > 5) {
     suggestions.push({
       category: 'Writing Style',
-      message: 'Avoid personal pronouns (I, me, my) - use direct action statements instead',
+      message: english
+        ? 'Avoid personal pronouns (I, me, my) - use direct action statements instead'
+        : `Avoid personal pronouns (${resumeLanguage.pronouns.slice(0, 3).join(', ')}) - use direct action statements instead`,
       priority: 'medium'
     });
   }
 
-  // 7. Resume Length
+  // 7. Resume Length (limits depend on the scoring profile)
   const wordCount = resumeText.split(/\s+/).length;
-  if (wordCount < 250) {
+  const limits = profile.wordCount;
+  if (wordCount < limits.min) {
     suggestions.push({
       category: 'Content',
-      message: 'Resume is too short - aim for 400-700 words to showcase your experience',
+      message: `Resume is too short - aim for ${limits.idealMin}-${limits.idealMax} words to showcase your experience`,
       priority: 'medium'
     });
-  } else if (wordCount > 1000) {
+  } else if (wordCount > limits.max) {
     suggestions.push({
       category: 'Content',
-      message: 'Resume is too long - condense to 1-2 pages (500-800 words) for better readability',
+      message: `Resume is too long - condense to ${limits.idealMin}-${limits.idealMax} words for better readability`,
       priority: 'medium'
     });
   }
 
   // 8. Section Headers
-  if (!resumeText.match(/summary|objective/i)) {
+  if (!headingSections.has('summary')) {
     suggestions.push({
       category: 'Structure',
       message: 'Add a Professional Summary at the top highlighting your key qualifications',
@@ -201,7 +245,7 @@ const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) =>
   if (breakdown.keywordBalance < 50) {
     suggestions.push({
       category: 'Keywords',
-      message: 'Maintain 1-3% keyword density - naturally incorporate job-related terms throughout',
+      message: `Maintain ${profile.keywordDensity.idealMin}-${profile.keywordDensity.idealMax}% keyword density - naturally incorporate job-related terms throughout`,
       priority: 'medium'
     });
   }
@@ -209,7 +253,7 @@ const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) =>
   // 11. Specific skill recommendations based on job description
   const jdLower = jobDescription.toLowerCase();
   
-  if (jdLower.includes('react') && !resumeLower.includes('react')) {
+  if (jdSkills.includes('React') && !resumeSkills.includes('React')) {
     suggestions.push({
       category: 'Skills',
       message: 'Job requires React - add this skill if you have experience with it',
@@ -217,7 +261,7 @@ const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) =>
     });
   }
 
-  if (jdLower.includes('python') && !resumeLower.includes('python')) {
+  if (jdSkills.includes('Python') && !resumeSkills.includes('Python')) {
     suggestions.push({
       category: 'Skills',
       message: 'Job requires Python - add this skill if you have experience with it',
@@ -225,7 +269,7 @@ const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) =>
     });
   }
 
-  if (jdLower.includes('aws') && !resumeLower.includes('aws')) {
+  if (jdSkills.includes('AWS') && !resumeSkills.includes('AWS')) {
     suggestions.push({
       category: 'Skills',
       message: 'Job requires AWS - add cloud experience if you have it',
@@ -233,6 +277,20 @@ const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) =>
     });
   }
 
+  // Missing skills where the resume already lists a closely related one
+  jdSkills
+    .filter(skill => !resumeSkills.includes(skill))
+    .forEach((skill) => {
+      const related = getRelatedSkills(skill).filter(name => resumeSkills.includes(name));
+      if (related.length > 0) {
+        suggestions.push({
+          category: 'Skills',
+          message: `Job asks for ${skill} - you list ${related.join(', ')}; mention ${skill} explicitly if you have used it`,
+          priority: 'medium'
+        });
+      }
+    });
+
   // 12. Certification recommendations
   if (jdLower.includes('certified') && !resumeLower.includes('certification')) {
     suggestions.push({
@@ -245,55 +303,192 @@ const generateRuleBasedSuggestions = (resumeText, jobDescription, breakdown) =>
   return suggestions;
 };
 
-// AI-based suggestions (optional enhancement) - Disabled by default for speed
+const ACTION_VERBS = new Set(['managed', 'led', 'developed', 'created', 'implemented', 'designed', 'built', 'improved', 'achieved', 'delivered', 'coordinated', 'analyzed', 'optimized', 'spearheaded', 'executed', 'established', 'initiated', 'launched', 'streamlined', 'enhanced', 'resolved', 'maintained', 'supervised', 'trained', 'mentored', 'collaborated', 'facilitated', 'negotiated', 'increased', 'reduced', 'transformed', 'automated', 'integrated', 'tested', 'debugged', 'deployed', 'architected', 'engineered', 'programmed', 'coded', 'migrated', 'wrote', 'owned', 'drove', 'grew', 'cut', 'saved', 'shipped', 'scaled', 'refactored', 'authored', 'produced', 'generated', 'secured', 'won', 'oversaw', 'directed', 'headed', 'conducted', 'performed', 'prepared', 'presented', 'researched', 'configured', 'administered', 'monitored', 'organized', 'planned']);
+
+const WEAK_OPENERS = /^(responsible for|duties included|tasked with|in charge of|worked on|helped( to| with| in)?|assisted( with| in)?|involved in|participated in)\s+/i;
+const PASSIVE_VOICE = /\b(was|were|been|being|is|are)\s+(\w+ed|done|made|built|written|led|run|given|taken|shown|seen)\b/i;
+const METRIC = /\d|\b(percent|double[d]?|triple[d]?|half)\b/i;
+
+const IRREGULAR_PAST = {
+  done: 'Completed',
+  made: 'Created',
+  written: 'Wrote',
+  built: 'Built',
+  led: 'Led',
+  run: 'Ran',
+  given: 'Delivered',
+  taken: 'Took',
+  shown: 'Demonstrated',
+  seen: 'Oversaw'
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+const lowerFirst = (text) => (/^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text);
+
+const toPastTense = (word) => {
+  const past = compromise(word).verbs().toPastTense().text();
+  return capitalize(past || word);
+};
+
+// Why a bullet is weak - empty when it is fine as it is
+const findBulletIssues = (bullet) => {
+  const issues = [];
+  const firstWord = (bullet.split(/\s+/)[0] || '').toLowerCase().replace(/[^a-z]/g, '');
+
+  if (!ACTION_VERBS.has(firstWord) && !compromise(firstWord).has('#PastTense')) {
+    issues.push('Does not start with an action verb');
+  }
+  if (!METRIC.test(bullet)) {
+    issues.push('No measurable result');
+  }
+  if (PASSIVE_VOICE.test(bullet) || WEAK_OPENERS.test(bullet)) {
+    issues.push('Passive or duty-based wording');
+  }
+
+  return issues;
+};
+
+// Bullets from the experience and projects sections, weakest first
+const findWeakBullets = (resumeText) => {
+  const sections = extractSections(resumeText);
+  const bullets = [
+    ...extractExperience(sections.experience).flatMap(entry => entry.bullets),
+    ...extractExperience(sections.projects).flatMap(entry => entry.bullets)
+  ];
+
+  return [...new Set(bullets)]
+    .filter(bullet => bullet.split(/\s+/).length >= 3)
+    .map(bullet => ({ bullet, issues: findBulletIssues(bullet) }))
+    .filter(({ issues }) => issues.length >= 2 || issues.includes('Passive or duty-based wording'))
+    .sort((a, b) => b.issues.length - a.issues.length);
+};
+
+// Deterministic rewrite used when no model is installed (or it returns nothing useful)
+const rewriteBulletWithRules = (bullet) => {
+  let text = bullet.trim().replace(/[.;]+$/, '');
+
+  // "I wrote tests" -> "Wrote tests"
+  text = text.replace(/^(i|we)\s+/i, '');
+
+  // "Code reviews were done by me" -> "Completed code reviews"
+  const passive = text.match(/^(.+?)\s+(?:was|were)\s+(\w+)\s+by\s+(?:me|myself|us|our team|the team)\b(.*)$/i);
+  if (passive) {
+    const verb = IRREGULAR_PAST[passive[2].toLowerCase()] || capitalize(passive[2].toLowerCase());
+    text = `${verb} ${lowerFirst(passive[1].replace(WEAK_OPENERS, ''))}${passive[3]}`;
+  }
+
+  // "Responsible for managing X" -> "Managed X", "Worked on X" -> "Contributed to X"
+  const opener = text.match(WEAK_OPENERS);
+  if (opener) {
+    const rest = text.slice(opener[0].length);
+    const [nextWord, ...others] = rest.split(/\s+/);
+
+    if (/ing$/i.test(nextWord)) {
+      text = `${toPastTense(nextWord)} ${others.join(' ')}`.trim();
+    } else {
+      text = `Contributed to ${lowerFirst(rest)}`;
+    }
+  }
+
+  // "Developing X" -> "Developed X"
+  const [firstWord, ...remaining] = text.split(/\s+/);
+  if (/ing$/i.test(firstWord) && compromise(firstWord).has('#Verb')) {
+    text = `${toPastTense(firstWord)} ${remaining.join(' ')}`.trim();
+  }
+
+  const first = (text.split(/\s+/)[0] || '').toLowerCase();
+  if (!ACTION_VERBS.has(first) && !compromise(first).has('#PastTense')) {
+    text = `Contributed to ${lowerFirst(text)}`;
+  }
+
+  return capitalize(text);
+};
+
+// Numbers can't be invented - a rewrite without one gets the hint in the message instead
+const QUANTIFY_HINT = 'add the measurable impact, e.g. 20% faster or $10K saved';
+
+const rewriteBulletWithModel = async (rewriter, bullet) => {
+  const prompt = `Rewrite this resume bullet point so it starts with a strong action verb, uses active voice and states a measurable result: "${bullet}"`;
+  const output = await rewriter(prompt, { max_new_tokens: 60 });
+  const text = (output && output[0] && output[0].generated_text || '').trim().replace(/^"|"$/g, '');
+
+  // Discard empty or unchanged generations
+  if (!text || text.toLowerCase() === bullet.toLowerCase() || text.split(/\s+/).length < 3) {
+    return null;
+  }
+  return text;
+};
+
+// AI-based suggestions (optional enhancement) - concrete before/after rewrites of weak bullets
 const generateAIBasedSuggestions = async (resumeText, jobDescription) => {
   const suggestions = [];
+  const weakBullets = findWeakBullets(resumeText).slice(0, MAX_REWRITES);
+
+  if (weakBullets.length === 0) {
+    return suggestions;
+  }
+
+  const rewriter = await initializeAI();
+
+  for (const { bullet, issues } of weakBullets) {
+    let after = null;
+    let source = 'rules';
+
+    if (rewriter) {
+      try {
+        after = await rewriteBulletWithModel(rewriter, bullet);
+        source = after ? 'model' : source;
+      } catch (error) {
+        console.log('⚠️ Model rewrite failed, using rules:', error.message);
+      }
+    }
+
+    const rewritten = after || rewriteBulletWithRules(bullet);
+    const hint = METRIC.test(rewritten) ? '' : ` (${QUANTIFY_HINT})`;
 
-  try {
-    // Analyze resume improvement areas using AI
-    const prompt = `Resume: ${resumeText.substring(0, 500)}...\n\nJob: ${jobDescription.substring(0, 300)}...`;
-    
-    // This is a placeholder - actual AI analysis can be added here
     suggestions.push({
-      category: 'AI Insight',
-      message: 'Consider tailoring your experience section to better match the job requirements',
-      priority: 'low'
+      category: 'Bullet Rewrite',
+      message: `Rewrite "${bullet}" - ${issues.join('; ').toLowerCase()}${hint}`,
+      priority: issues.length >= 3 ? 'high' : 'medium',
+      before: bullet,
+      after: rewritten,
+      issues,
+      source
     });
-
-  } catch (error) {
-    console.log('AI analysis skipped');
   }
 
   return suggestions;
 };
 
 // Extract important keywords from job description
-const extractImportantKeywords = (text) => {
-  const doc = compromise(text);
+const extractImportantKeywords = (text, language = getLanguage()) => {
   const keywords = new Set();
 
-  // Technical skills - expanded list
-  const techSkills = text.match(/\b(javascript|js|python|react|reactjs|node|nodejs|java|sql|mysql|postgresql|mongodb|aws|docker|kubernetes|k8s|git|github|gitlab|typescript|ts|express|expressjs|angular|angularjs|vue|vuejs|html|html5|css|css3|scss|sass|less|api|rest|restful|graphql|agile|scrum|kanban|ci\/cd|devops|machine learning|ml|ai|artificial intelligence|data science|cloud|azure|gcp|google cloud|tensorflow|pytorch|keras|pandas|numpy|scipy|django|flask|fastapi|spring|springboot|hibernate|maven|gradle|redis|memcached|elasticsearch|elk|jenkins|travis|circleci|ansible|puppet|chef|terraform|cloudformation|linux|unix|ubuntu|centos|bash|shell|powershell|c\+\+|cpp|c#|csharp|dotnet|ruby|rails|php|laravel|swift|kotlin|android|ios|flutter|dart|go|golang|rust|scala|perl|r|matlab|sas|spss|tableau|power bi|looker|excel|vba|word|powerpoint|jira|confluence|trello|asana|slack|teams|salesforce|dynamics|sap|oracle|peoplesoft|workday|servicenow|sharepoint|nosql|cassandra|dynamodb|couchdb|neo4j|websocket|socket\.io|microservices|serverless|lambda|azure functions|blockchain|ethereum|solidity|iot|raspberry pi|arduino|ar|vr|unity|unreal|game development|figma|sketch|adobe xd|photoshop|illustrator|after effects|premiere|ui|ux|frontend|backend|fullstack|full stack|mobile|responsive|seo|sem|analytics|gtm|tag manager|a\/b testing|conversion|oauth|jwt|authentication|authorization|security|encryption|ssl|tls|webpack|babel|npm|yarn|pnpm|testing|jest|mocha|chai|cypress|selenium|pytest|junit|tdd|bdd|design patterns|solid|dry|kiss|mvc|mvvm|redux|mobx|vuex|context api|hooks|functional programming|oop|object oriented)\b/gi);
-  
-  if (techSkills) {
-    techSkills.forEach(skill => keywords.add(skill.toLowerCase().trim()));
+  // Technical and soft skills from the shared taxonomy, by canonical name
+  findSkills(text).forEach(skill => keywords.add(skill.toLowerCase()));
+
+  // compromise only tags English - other languages use their longer content words
+  if (language.code !== 'en') {
+    extractTerms(text, language)
+      .filter(word => word.length > 3)
+      .forEach((word) => {
+        const skill = normalizeSkill(word);
+        keywords.add(skill ? skill.toLowerCase() : word);
+      });
+    return Array.from(keywords).slice(0, 30);
   }
 
+  const doc = compromise(text);
+
   // Extract nouns (potential skills/qualifications)
   doc.nouns().forEach(noun => {
     const word = noun.text().toLowerCase().trim();
     if (word.length > 3 && !word.match(/\b(with|from|that|this|have|been|were|will|would|could|should)\b/)) {
-      keywords.add(word);
+      const skill = normalizeSkill(word);
+      keywords.add(skill ? skill.toLowerCase() : word);
     }
   });
 
-  // Soft skills
-  const softSkills = text.match(/\b(leadership|communication|teamwork|problem solving|critical thinking|time management|adaptability|creativity|collaboration|organization|analytical|interpersonal|presentation|negotiation|conflict resolution|decision making|strategic thinking|project management|stakeholder management)\b/gi);
-  
-  if (softSkills) {
-    softSkills.forEach(skill => keywords.add(skill.toLowerCase().trim()));
-  }
-
   return Array.from(keywords).slice(0, 30);
 };
 
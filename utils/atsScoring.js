@@ -1,236 +1,498 @@
 const natural = require('natural');
 const compromise = require('compromise');
+const { extractSections } = require('./resumeParser');
+const { analyzeExperience } = require('./experienceParser');
+const { findSkills, normalizeSkill, countSkillMentions, compareSkills } = require('./skillTaxonomy');
+const { parseJobDescription } = require('./jobDescriptionParser');
+const { getProfile } = require('./scoringProfiles');
+const { analyzeWriting } = require('./writingChecks');
+const { getLanguage, tokenize, extractTerms, findPronouns, findActionVerbs } = require('./languages');
 
 const tokenizer = new natural.WordTokenizer();
 const TfIdf = natural.TfIdf;
 
 // Main ATS Scoring Function
-const calculateATSScore = (resumeText, jobDescription) => {
-  try {
-    // 1. Keyword Match Score (40%)
-    const keywordMatchScore = calculateKeywordMatch(resumeText, jobDescription);
-
-    // 2. Formatting & Sections Score (20%)
-    const formattingScore = calculateFormattingScore(resumeText);
-
-    // 3. Grammar & Readability Score (15%)
-    const readabilityScore = calculateReadabilityScore(resumeText);
+// options.semanticMatch is the precomputed embedding score (null when no model is available)
+// options.profile selects the weights and thresholds (see config/profiles)
+// options.layout is the PDF layout analysis (see utils/pdfLayout), null for other inputs
+// options.language holds the detected language codes { resume, jobDescription } (English by default)
+const calculateATSScore = (resumeText, jobDescription, options = {}) => {
+  const profile = getProfile(options.profile);
+  const resumeLanguage = getLanguage(options.language && options.language.resume);
+  const jdLanguage = getLanguage(options.language && options.language.jobDescription);
 
-    // 4. ATS-Friendly Structure Score (15%)
-    const structureScore = calculateStructureScore(resumeText);
-
-    // 5. Word Count & Keyword Balance Score (10%)
-    const balanceScore = calculateBalanceScore(resumeText, jobDescription);
+  try {
+    // Build the work-history timeline from the experience section
+    const sections = extractSections(resumeText);
+    const experience = analyzeExperience(sections.experience, jobDescription, findSkills(resumeText));
+    const skills = compareSkills(resumeText, jobDescription);
+    const requirements = analyzeRequirements(jobDescription, skills.resumeSkills);
+
+    // 1. Keyword Match Score
+    const keywordMatch = calculateKeywordMatch(resumeText, jobDescription, requirements, profile, resumeLanguage, jdLanguage);
+    const keywordMatchScore = keywordMatch.score;
+
+    // 2. Formatting & Sections Score
+    const formatting = calculateFormattingScore(resumeText, profile, sections);
+    const formattingScore = formatting.score;
+
+    // 3. Grammar & Readability Score
+    const readability = calculateReadabilityScore(resumeText, profile, resumeLanguage, { sections, experience });
+    const readabilityScore = readability.score;
+
+    // 4. ATS-Friendly Structure Score
+    const structure = calculateStructureScore(resumeText, experience, options.layout);
+    const structureScore = structure.score;
+
+    // 5. Word Count & Keyword Balance Score
+    const balance = calculateBalanceScore(resumeText, jobDescription, profile, resumeLanguage, jdLanguage);
+    const balanceScore = balance.score;
+
+    // 6. Semantic Match Score (its weight folds into keyword match when no model is available)
+    const semanticScore = options.semanticMatch ? options.semanticMatch.score : null;
+    const { weights } = profile;
+    const keywordShare = semanticScore === null
+      ? keywordMatchScore * (weights.keywordMatch + weights.semanticMatch)
+      : keywordMatchScore * weights.keywordMatch + semanticScore * weights.semanticMatch;
 
     // Calculate weighted total
     const totalScore = Math.round(
-      keywordMatchScore * 0.4 +
-      formattingScore * 0.2 +
-      readabilityScore * 0.15 +
-      structureScore * 0.15 +
-      balanceScore * 0.1
+      keywordShare +
+      formattingScore * weights.formatting +
+      readabilityScore * weights.readability +
+      structureScore * weights.structure +
+      balanceScore * weights.keywordBalance
     );
 
     return {
       totalScore: Math.min(100, Math.max(0, totalScore)),
+      profile: profile.name,
       breakdown: {
         keywordMatch: Math.round(keywordMatchScore),
         formatting: Math.round(formattingScore),
         readability: Math.round(readabilityScore),
         structure: Math.round(structureScore),
-        keywordBalance: Math.round(balanceScore)
-      }
+        keywordBalance: Math.round(balanceScore),
+        semanticMatch: semanticScore === null ? null : Math.round(semanticScore)
+      },
+      // Why each dimension scored what it did
+      evidence: {
+        keywordMatch: keywordMatch.evidence,
+        formatting: formatting.evidence,
+        readability: readability.evidence,
+        structure: structure.evidence,
+        keywordBalance: balance.evidence,
+        semanticMatch: options.semanticMatch
+          ? { model: options.semanticMatch.model, matches: options.semanticMatch.matches }
+          : null
+      },
+      weights: semanticScore === null
+        ? { ...weights, keywordMatch: weights.keywordMatch + weights.semanticMatch, semanticMatch: 0 }
+        : weights,
+      experience,
+      skills,
+      requirements
     };
   } catch (error) {
     console.error('Error calculating ATS score:', error);
     return {
       totalScore: 0,
+      profile: profile.name,
       breakdown: {
         keywordMatch: 0,
         formatting: 0,
         readability: 0,
         structure: 0,
-        keywordBalance: 0
-      }
+        keywordBalance: 0,
+        semanticMatch: null
+      },
+      evidence: {},
+      weights: profile.weights,
+      experience: {
+        entries: [],
+        totalYears: 0,
+        skillYears: {},
+        requirements: [],
+        datedEntries: 0,
+        undatedEntries: 0
+      },
+      skills: {
+        resumeSkills: [],
+        jobSkills: [],
+        matched: [],
+        missing: []
+      },
+      requirements: analyzeRequirements('', [])
     };
   }
 };
 
-// 1. Keyword Matching (40%)
-const calculateKeywordMatch = (resumeText, jobDescription) => {
+// Parse the JD's requirements and check the resume's skills against them
+const analyzeRequirements = (jobDescription, resumeSkills) => {
+  const parsed = parseJobDescription(jobDescription);
+
+  const split = (list) => ({
+    matched: list.filter(skill => resumeSkills.includes(skill)),
+    missing: list.filter(skill => !resumeSkills.includes(skill))
+  });
+
+  return {
+    ...parsed,
+    mustHave: split(parsed.required.skills),
+    niceToHave: split(parsed.preferred.skills)
+  };
+};
+
+// 1. Keyword Matching - required skills count far more than preferred ones
+const calculateKeywordMatch = (resumeText, jobDescription, requirements, profile, resumeLanguage, jdLanguage) => {
   const tfidf = new TfIdf();
   tfidf.addDocument(resumeText.toLowerCase());
   tfidf.addDocument(jobDescription.toLowerCase());
 
   // Extract important keywords from JD
-  const jdKeywords = extractKeywords(jobDescription);
-  const resumeKeywords = extractKeywords(resumeText);
+  const jdKeywords = extractKeywords(jobDescription, jdLanguage);
+  const resumeKeywords = extractKeywords(resumeText, resumeLanguage);
+  const resumeKeys = new Set(resumeKeywords.map(keyword => keywordKey(keyword, resumeLanguage)));
 
-  let matchCount = 0;
-  const totalKeywords = jdKeywords.length;
+  let matchWeight = 0;
+  let totalWeight = 0;
+  const matched = [];
+  const missed = [];
 
   jdKeywords.forEach((keyword) => {
-    if (resumeKeywords.includes(keyword)) {
-      matchCount++;
+    const skill = normalizeSkill(keyword);
+    let importance = 'general';
+
+    if (skill && requirements.required.skills.includes(skill)) {
+      importance = 'required';
+    } else if (skill && requirements.preferred.skills.includes(skill)) {
+      importance = 'preferred';
+    }
+
+    const weight = profile.keywordWeights[importance];
+    const item = { keyword: skill || keyword, importance, weight };
+
+    totalWeight += weight;
+    if (resumeKeys.has(keywordKey(keyword, jdLanguage))) {
+      matchWeight += weight;
+      matched.push(item);
+    } else {
+      missed.push(item);
     }
   });
 
   // Check for skill variations
-  const matchPercentage = totalKeywords > 0 ? (matchCount / totalKeywords) * 100 : 0;
+  const matchPercentage = totalWeight > 0 ? (matchWeight / totalWeight) * 100 : 0;
   
-  return Math.min(100, matchPercentage);
+  return {
+    score: Math.min(100, matchPercentage),
+    evidence: {
+      matched,
+      missed,
+      matchedWeight: matchWeight,
+      totalWeight
+    }
+  };
 };
 
-// Extract keywords using NLP
-const extractKeywords = (text) => {
+// Extract keywords using NLP - compromise only reads English, other languages use their content words
+const extractKeywords = (text, language = getLanguage()) => {
+  if (language.code !== 'en') {
+    const keywords = new Set(extractTerms(text, language).map((word) => {
+      const skill = normalizeSkill(word);
+      return skill ? skill.toLowerCase() : word;
+    }));
+    findSkills(text).forEach(skill => keywords.add(skill.toLowerCase()));
+    return Array.from(keywords);
+  }
+
   const doc = compromise(text);
   
   // Extract nouns, skills, and technical terms
   const keywords = new Set();
   
-  // Get nouns and proper nouns
+  // Get nouns and proper nouns (known skill aliases map to their canonical name)
   doc.nouns().forEach(noun => {
-    keywords.add(noun.text().toLowerCase());
+    const word = noun.text().toLowerCase();
+    const skill = normalizeSkill(word);
+    keywords.add(skill ? skill.toLowerCase() : word);
   });
 
-  // Common tech skills patterns
-  const techSkills = text.toLowerCase().match(/\b(javascript|python|react|node|nodejs|java|sql|mysql|postgresql|mongodb|aws|docker|kubernetes|git|typescript|express|angular|vue|html|css|scss|sass|api|restful|graphql|agile|scrum|ci\/cd|devops|machine learning|ml|ai|data science|cloud|azure|gcp|tensorflow|pytorch|pandas|numpy|django|flask|spring|hibernate|redis|elasticsearch|jenkins|ansible|terraform|linux|unix|bash|powershell|c\+\+|c#|ruby|php|swift|kotlin|go|rust|scala|perl|r|matlab|sas|tableau|power bi|excel|word|jira|confluence|salesforce|sap|oracle|nosql|websocket|microservices|serverless|blockchain|iot|ar|vr|unity|unreal|figma|sketch|photoshop|illustrator|xd)\b/gi);
-  
-  if (techSkills) {
-    techSkills.forEach(skill => keywords.add(skill.toLowerCase()));
-  }
+  // Skills from the shared taxonomy, by canonical name
+  findSkills(text).forEach(skill => keywords.add(skill.toLowerCase()));
 
   return Array.from(keywords);
 };
 
-// 2. Formatting & Sections Score (20%)
-const calculateFormattingScore = (resumeText) => {
+// Skills compare by canonical name, other keywords by stem outside English ("desarrollo" matches "desarrollador")
+const keywordKey = (keyword, language) => (language.code === 'en' || normalizeSkill(keyword) ? keyword : language.stem(keyword));
+
+// Contact details are found in the block above the first heading rather than under one
+const CONTACT_REGEX = /\b[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}\b|\b\d{3}[-.\s]?\d{3}[-.\s]?\d{4}\b|\(\d{3}\)\s?\d{3}[-.\s]?\d{4}\b|linkedin\.com\//i;
+
+// 2. Formatting & Sections Score
+// Sections count only when they have a heading of their own (see extractSections) - a word like
+// "skills" in a sentence is not a section an ATS can find
+const calculateFormattingScore = (resumeText, profile, sections = extractSections(resumeText)) => {
   let score = 0;
 
-  const sections = [
-    /contact|email|phone/i,
-    /summary|objective|profile/i,
-    /experience|work history|employment/i,
-    /education|academic|degree/i,
-    /skills|technical skills|competencies/i
-  ];
-
-  sections.forEach((regex) => {
-    if (regex.test(resumeText)) {
-      score += 20;
+  const sectionPoints = 100 / profile.sections.length;
+  const headingSections = new Set(sections.headings.map(heading => heading.section));
+  const detected = [];
+  const missing = [];
+  const bonuses = [];
+
+  const hasSection = name => (name === 'contact' ? CONTACT_REGEX.test(sections.contact) : headingSections.has(name));
+
+  profile.sections.forEach((name) => {
+    if (hasSection(name)) {
+      score += sectionPoints;
+      detected.push(name);
+    } else {
+      missing.push(name);
     }
   });
 
   // Check for proper length
+  const { wordCount: limits } = profile;
   const wordCount = resumeText.split(/\s+/).length;
-  if (wordCount >= 300 && wordCount <= 800) {
+  if (wordCount >= limits.idealMin && wordCount <= limits.idealMax) {
     score += 20;
-  } else if (wordCount > 200) {
+    bonuses.push({ reason: `Length within the ideal ${limits.idealMin}-${limits.idealMax} words`, points: 20 });
+  } else if (wordCount > limits.acceptableMin) {
     score += 10;
+    bonuses.push({ reason: `Length above the acceptable minimum of ${limits.acceptableMin} words`, points: 10 });
   }
 
-  return Math.min(100, score);
+  return {
+    score: Math.min(100, score),
+    evidence: {
+      sectionsDetected: detected,
+      sectionsMissing: missing,
+      headings: sections.headings.map(({ section, heading }) => ({ section, heading })),
+      pointsPerSection: Math.round(sectionPoints * 10) / 10,
+      wordCount,
+      bonuses,
+      penalties: []
+    }
+  };
+};
+
+const ACTION_VERBS_REGEX = /\b(managed|led|developed|created|implemented|designed|built|improved|achieved|delivered|coordinated|analyzed|optimized|spearheaded|executed|established|initiated|launched|streamlined|enhanced|resolved|maintained|supervised|trained|mentored|collaborated|facilitated|negotiated|increased|reduced|transformed|automated|integrated|tested|debugged|deployed|architected|engineered|programmed|coded)\b/gi;
+
+// Points per writing finding and the most each check can take off
+// Long sentences are already covered by the average sentence length
+const WRITING_PENALTIES = {
+  spelling: { points: 5, max: 20, reason: 'possible misspelling(s)' },
+  tense: { points: 4, max: 12, reason: 'bullet(s) in an inconsistent tense' },
+  repeatedWord: { points: 5, max: 10, reason: 'repeated word(s)' },
+  passiveVoice: { points: 3, max: 12, reason: 'passive-voice phrase(s)' }
 };
 
-// 3. Grammar & Readability Score (15%)
-const calculateReadabilityScore = (resumeText) => {
+// 3. Grammar & Readability Score
+// context holds the sections and experience timeline the writing checks locate findings with
+const calculateReadabilityScore = (resumeText, profile, language = getLanguage(), context = {}) => {
   let score = 100;
+  const penalties = [];
+  const bonuses = [];
 
   // Check for excessive use of personal pronouns (I, me, my)
-  const pronounCount = (resumeText.match(/\b(i|me|my|mine)\b/gi) || []).length;
+  const pronounCount = language.pronouns
+    ? findPronouns(resumeText, language).length
+    : (resumeText.match(/\b(i|me|my|mine)\b/gi) || []).length;
   const words = resumeText.split(/\s+/).length;
   const pronounRatio = pronounCount / words;
 
-  if (pronounRatio > 0.05) {
+  if (pronounRatio > profile.pronounRatio.max) {
     score -= 30;
-  } else if (pronounRatio > 0.02) {
+    penalties.push({ reason: `Personal pronouns above ${profile.pronounRatio.max * 100}% of words`, points: -30 });
+  } else if (pronounRatio > profile.pronounRatio.warn) {
     score -= 15;
+    penalties.push({ reason: `Personal pronouns above ${profile.pronounRatio.warn * 100}% of words`, points: -15 });
   }
 
   // Check sentence structure
-  const sentences = resumeText.split(/[.!?]+/).filter(s => s.trim().length > 0);
+  const sentences = resumeText.split(/[.!?।]+/).filter(s => s.trim().length > 0);
   const avgSentenceLength = words / Math.max(sentences.length, 1);
 
-  if (avgSentenceLength > 25) {
+  if (avgSentenceLength > profile.sentenceLength.max) {
     score -= 20; // Too complex
-  } else if (avgSentenceLength < 10) {
+    penalties.push({ reason: `Average sentence longer than ${profile.sentenceLength.max} words`, points: -20 });
+  } else if (avgSentenceLength < profile.sentenceLength.min) {
     score -= 10; // Too simple
+    penalties.push({ reason: `Average sentence shorter than ${profile.sentenceLength.min} words`, points: -10 });
   }
 
   // Check for action verbs
-  const actionVerbs = (resumeText.match(/\b(managed|led|developed|created|implemented|designed|built|improved|achieved|delivered|coordinated|analyzed|optimized|spearheaded|executed|established|initiated|launched|streamlined|enhanced|resolved|maintained|supervised|trained|mentored|collaborated|facilitated|negotiated|increased|reduced|transformed|automated|integrated|tested|debugged|deployed|architected|engineered|programmed|coded)\b/gi) || []).length;
+  const actionVerbHits = language.actionVerbs
+    ? findActionVerbs(resumeText, language)
+    : (resumeText.match(ACTION_VERBS_REGEX) || []).map(verb => verb.toLowerCase());
+  const actionVerbs = actionVerbHits.length;
   
   if (actionVerbs >= 5) {
     score += 20;
+    bonuses.push({ reason: '5 or more action verbs', points: 20 });
   } else if (actionVerbs >= 3) {
     score += 10;
+    bonuses.push({ reason: '3 or more action verbs', points: 10 });
   }
 
-  return Math.max(0, Math.min(100, score));
+  // Spelling, tense, repeated words and passive voice - each check's penalty is capped
+  const writing = analyzeWriting(resumeText, { language, sections: context.sections, experience: context.experience, profile });
+
+  Object.entries(WRITING_PENALTIES).forEach(([type, penalty]) => {
+    const count = writing.findings.filter(finding => finding.type === type).length;
+    if (count > 0) {
+      const points = Math.min(penalty.max, count * penalty.points);
+      score -= points;
+      penalties.push({ reason: `${count} ${penalty.reason}`, points: -points });
+    }
+  });
+
+  const { indices } = writing;
+  if (indices && indices.fleschReadingEase < profile.readingEase.min) {
+    score -= 10;
+    penalties.push({ reason: `Flesch reading ease ${indices.fleschReadingEase} below ${profile.readingEase.min} (hard to read)`, points: -10 });
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, score)),
+    evidence: {
+      wordCount: words,
+      pronounCount,
+      pronounRatio: Math.round(pronounRatio * 1000) / 1000,
+      sentenceCount: sentences.length,
+      avgSentenceLength: Math.round(avgSentenceLength * 10) / 10,
+      actionVerbs: [...new Set(actionVerbHits)],
+      actionVerbCount: actionVerbs,
+      writingChecks: writing.checks,
+      indices,
+      findings: writing.findings,
+      bonuses,
+      penalties
+    }
+  };
 };
 
-// 4. ATS-Friendly Structure Score (15%)
-const calculateStructureScore = (resumeText) => {
+// 4. ATS-Friendly Structure Score
+// layout findings come from the PDF itself and cover what the extracted text can't show
+const calculateStructureScore = (resumeText, experience, layout = null) => {
   let score = 100;
+  const penalties = [];
+  const bonuses = [];
+  const layoutFindings = layout ? layout.findings : [];
 
   // Penalize if contains special characters or symbols
-  const specialChars = (resumeText.match(/[★☆●○■□▪▫◆◇]/g) || []).length;
-  if (specialChars > 0) {
+  const specialChars = resumeText.match(/[★☆●○■□▪▫◆◇]/g) || [];
+  if (specialChars.length > 0) {
     score -= 30;
+    penalties.push({ reason: 'Special characters or symbols found', points: -30 });
   }
 
   // Check for table indicators (multiple tabs or aligned columns)
+  // (skipped when the layout analysis already found the table)
   const tabs = (resumeText.match(/\t/g) || []).length;
-  if (tabs > 10) {
+  if (tabs > 10 && !layoutFindings.some(finding => finding.type === 'table')) {
     score -= 20;
+    penalties.push({ reason: 'Many tab characters (likely a table layout)', points: -20 });
   }
 
-  // Check for proper date formats
-  const dateFormats = (resumeText.match(/\b\d{4}\b|\b\d{1,2}\/\d{4}\b|\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\s+\d{4}\b/gi) || []).length;
-  
-  if (dateFormats >= 2) {
+  // Columns, tables, headers/footers, images, fonts and text boxes found in the PDF layout
+  layoutFindings.forEach((finding) => {
+    score += finding.points;
+    penalties.push({ reason: finding.message, points: finding.points });
+  });
+
+  // Check that every role in the work history has a parseable date range
+  if (experience.datedEntries > 0 && experience.undatedEntries === 0) {
     score += 10;
+    bonuses.push({ reason: 'Every role has a parseable date range', points: 10 });
+  } else if (experience.undatedEntries > 0) {
+    score -= 10;
+    penalties.push({ reason: `${experience.undatedEntries} role(s) without a parseable date range`, points: -10 });
   }
 
-  return Math.max(0, Math.min(100, score));
+  return {
+    score: Math.max(0, Math.min(100, score)),
+    evidence: {
+      specialCharacters: [...new Set(specialChars)],
+      tabCount: tabs,
+      datedEntries: experience.datedEntries,
+      undatedEntries: experience.undatedEntries,
+      layout: layout ? layoutFindings.map(({ type, severity, points, pages }) => ({ type, severity, points, pages })) : null,
+      bonuses,
+      penalties
+    }
+  };
 };
 
-// 5. Word Count & Keyword Balance Score (10%)
-const calculateBalanceScore = (resumeText, jobDescription) => {
+// 5. Word Count & Keyword Balance Score
+const calculateBalanceScore = (resumeText, jobDescription, profile, resumeLanguage = getLanguage(), jdLanguage = getLanguage()) => {
   const resumeWords = resumeText.split(/\s+/).length;
-  const jdKeywords = extractKeywords(jobDescription);
+  const jdKeywords = extractKeywords(jobDescription, jdLanguage);
   const resumeTextLower = resumeText.toLowerCase();
+  // Outside English, mentions are counted by stem - \b only knows ASCII word characters
+  const resumeStems = resumeLanguage.code === 'en' ? null : tokenize(resumeText).map(word => resumeLanguage.stem(word));
+  const penalties = [];
 
+  const skillMentions = countSkillMentions(resumeText);
   let keywordFrequency = 0;
   jdKeywords.forEach(keyword => {
+    const skill = normalizeSkill(keyword);
+    if (skill) {
+      keywordFrequency += skillMentions.get(skill) || 0;
+      return;
+    }
+    if (resumeStems) {
+      const stem = resumeLanguage.stem(keyword);
+      keywordFrequency += resumeStems.filter(word => word === stem).length;
+      return;
+    }
+
     const regex = new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
     const matches = (resumeTextLower.match(regex) || []).length;
     keywordFrequency += matches;
   });
 
-  // Ideal: 1-3% keyword density
+  // Ideal keyword density comes from the profile (1-3% by default)
   const keywordDensity = resumeWords > 0 ? (keywordFrequency / resumeWords) * 100 : 0;
+  const density = profile.keywordDensity;
 
   let score = 100;
 
-  if (keywordDensity < 1) {
+  if (keywordDensity < density.idealMin) {
     score = 50; // Too few keywords
-  } else if (keywordDensity > 5) {
+    penalties.push({ reason: `Keyword density below ${density.idealMin}%`, points: -50 });
+  } else if (keywordDensity > density.max) {
     score = 40; // Keyword stuffing
-  } else if (keywordDensity >= 1 && keywordDensity <= 3) {
+    penalties.push({ reason: `Keyword density above ${density.max}% (keyword stuffing)`, points: -60 });
+  } else if (keywordDensity >= density.idealMin && keywordDensity <= density.idealMax) {
     score = 100; // Perfect balance
   } else {
     score = 70;
+    penalties.push({ reason: `Keyword density above the ideal ${density.idealMax}%`, points: -30 });
   }
 
   // Check word count
-  if (resumeWords < 250) {
+  if (resumeWords < profile.wordCount.min) {
     score -= 30;
-  } else if (resumeWords > 1000) {
+    penalties.push({ reason: `Fewer than ${profile.wordCount.min} words`, points: -30 });
+  } else if (resumeWords > profile.wordCount.max) {
     score -= 20;
+    penalties.push({ reason: `More than ${profile.wordCount.max} words`, points: -20 });
   }
 
-  return Math.max(0, score);
+  return {
+    score: Math.max(0, score),
+    evidence: {
+      wordCount: resumeWords,
+      keywordFrequency,
+      keywordDensity: Math.round(keywordDensity * 100) / 100,
+      idealDensity: [density.idealMin, density.idealMax],
+      bonuses: [],
+      penalties
+    }
+  };
 };
 
 // Generate Strengths and Weaknesses
@@ -273,6 +535,15 @@ const generateInsights = (breakdown, resumeText, jobDescription) => {
     weaknesses.push('Adjust keyword usage - either too sparse or stuffed');
   }
 
+  // Semantic Match Analysis (only when an embedding model is available)
+  if (breakdown.semanticMatch !== null && breakdown.semanticMatch !== undefined) {
+    if (breakdown.semanticMatch >= 70) {
+      strengths.push('Experience closely matches what the role describes, even beyond exact keywords');
+    } else if (breakdown.semanticMatch < 50) {
+      weaknesses.push('Experience descriptions do not clearly reflect the responsibilities in the job description');
+    }
+  }
+
   return { strengths, weaknesses };
 };
 
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// JWT access / refresh tokens
+// JWT_SECRET, JWT_REFRESH_SECRET, JWT_EXPIRES_IN (default 15m), JWT_REFRESH_EXPIRES_IN (default 7d)
+
+const resolveSecret = (name) => {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+  console.log(`⚠️ ${name} not set - using a random secret, tokens will not survive a restart`);
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const accessSecret = resolveSecret('JWT_SECRET');
+const refreshSecret = resolveSecret('JWT_REFRESH_SECRET');
+const accessExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+const refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+const signAccessToken = (user) => {
+  return jwt.sign({ sub: user._id, email: user.email, type: 'access' }, accessSecret, { expiresIn: accessExpiresIn });
+};
+
+const signRefreshToken = (user) => {
+  return jwt.sign({ sub: user._id, type: 'refresh' }, refreshSecret, { expiresIn: refreshExpiresIn });
+};
+
+// Throws when the token is invalid, expired or of the wrong type
+const verifyToken = (token, secret, type) => {
+  const payload = jwt.verify(token, secret);
+  if (payload.type !== type) {
+    throw new Error(`Expected a ${type} token`);
+  }
+  return payload;
+};
+
+const verifyAccessToken = (token) => verifyToken(token, accessSecret, 'access');
+const verifyRefreshToken = (token) => verifyToken(token, refreshSecret, 'refresh');
+
+const issueTokens = (user) => ({
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user),
+  tokenType: 'Bearer',
+  expiresIn: accessExpiresIn
+});
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  verifyRefreshToken
+};
@@ -0,0 +1,175 @@
+const path = require('path');
+const { parseResumeFile, extractSections, mimeTypeForFile } = require('./resumeParser');
+const { MAX_ARCHIVE_UNCOMPRESSED_BYTES, uploadError, readZipDirectory, inflateZipEntry } = require('./uploadValidation');
+const { analyzeResume } = require('./resumeAnalyzer');
+
+// Recruiter mode - score many resumes against one job description and rank them
+
+const MAX_BATCH_RESUMES = 100;
+// Overall time for parsing and scoring one batch - files not reached are reported as failed
+const BATCH_TIMEOUT_MS = parseInt(process.env.BATCH_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+
+const isZip = (file) => {
+  return ZIP_MIME_TYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+};
+
+const tooManyResumes = () => uploadError('TOO_MANY_FILES', `Too many resumes - a batch can contain at most ${MAX_BATCH_RESUMES}`);
+
+// Expand uploaded zip archives into individual resume files
+// Entries are counted from the zip directory before anything is inflated, and all archives
+// in the batch share one budget of inflated bytes
+const extractResumeFiles = async (files) => {
+  const resumes = [];
+  let budget = MAX_ARCHIVE_UNCOMPRESSED_BYTES;
+
+  for (const file of files) {
+    if (!isZip(file)) {
+      resumes.push(file);
+      continue;
+    }
+
+    const entries = readZipDirectory(file.buffer).filter((entry) => {
+      const name = path.basename(entry.name);
+      return !entry.name.endsWith('/') &&
+        !entry.name.startsWith('__MACOSX/') &&
+        !name.startsWith('.') &&
+        mimeTypeForFile(name);
+    });
+
+    if (resumes.length + entries.length > MAX_BATCH_RESUMES) {
+      throw tooManyResumes();
+    }
+
+    for (const entry of entries) {
+      const buffer = inflateZipEntry(file.buffer, entry, budget);
+      budget -= buffer.length;
+      resumes.push({
+        originalname: path.basename(entry.name),
+        mimetype: mimeTypeForFile(entry.name),
+        buffer,
+        source: file.originalname
+      });
+    }
+  }
+
+  if (resumes.length > MAX_BATCH_RESUMES) {
+    throw tooManyResumes();
+  }
+
+  return resumes;
+};
+
+// Best guess at the candidate's name - the first line of the contact block
+const guessCandidateName = (resumeText, fileName) => {
+  const firstLine = extractSections(resumeText).contact.split('\n').find(line => line.trim());
+  const looksLikeName = firstLine && firstLine.length <= 60 && !/[@\d]/.test(firstLine);
+
+  return looksLikeName ? firstLine.trim() : path.basename(fileName, path.extname(fileName));
+};
+
+const rankCandidates = async (files, jobDescription, options = {}) => {
+  const { profile, shortlistSize = 10 } = options;
+  const resumes = await extractResumeFiles(files);
+  const deadline = Date.now() + BATCH_TIMEOUT_MS;
+  const candidates = [];
+  const failed = [];
+  let timedOut = false;
+
+  // One at a time - scoring is CPU-bound (each file is bounded by its own parse timeout)
+  for (const file of resumes) {
+    if (Date.now() >= deadline) {
+      timedOut = true;
+      failed.push({ fileName: file.originalname, error: 'Batch time limit reached before this file was scored', code: 'PARSE_TIMEOUT' });
+      continue;
+    }
+
+    try {
+      console.log('📄 Scoring', file.originalname);
+      const { text: resumeText, ocr, layout } = await parseResumeFile(file);
+      const analysis = await analyzeResume(resumeText, jobDescription, { profile, includeSuggestions: false, ocr, layout });
+
+      candidates.push({
+        candidate: guessCandidateName(resumeText, file.originalname),
+        fileName: file.originalname,
+        archive: file.source || null,
+        atsScore: analysis.atsScore,
+        breakdown: analysis.breakdown,
+        mustHave: analysis.jobRequirements.mustHave,
+        niceToHave: analysis.jobRequirements.niceToHave,
+        totalYears: analysis.experienceSummary.totalYears,
+        ocrConfidence: ocr ? ocr.confidence : null,
+        layoutRisks: layout ? layout.findings.map(finding => finding.type) : [],
+        strengths: analysis.strengths,
+        weaknesses: analysis.weaknesses
+      });
+    } catch (error) {
+      console.log('⚠️ Skipping', file.originalname, '-', error.message);
+      failed.push({ fileName: file.originalname, error: error.message, code: error.code || null });
+    }
+  }
+
+  // Highest score first, more must-haves breaks ties
+  candidates.sort((a, b) =>
+    b.atsScore - a.atsScore ||
+    b.mustHave.matched.length - a.mustHave.matched.length
+  );
+
+  const ranking = candidates.map((candidate, index) => ({
+    rank: index + 1,
+    shortlisted: index < shortlistSize,
+    ...candidate
+  }));
+
+  return {
+    total: resumes.length,
+    ranked: ranking.length,
+    shortlistSize,
+    ranking,
+    failed,
+    timedOut
+  };
+};
+
+// Cells a spreadsheet would run as a formula (CSV injection) are prefixed with a quote
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  const raw = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+  const text = typeof value !== 'number' && FORMULA_PREFIX_REGEX.test(raw) ? `'${raw}` : raw;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV export of the ranking, one row per candidate
+const rankingToCsv = (ranking) => {
+  const header = [
+    'Rank', 'Candidate', 'File', 'ATS Score', 'Keyword Match', 'Formatting', 'Readability',
+    'Structure', 'Keyword Balance', 'Years of Experience', 'Must-Haves Matched', 'Must-Haves Missing', 'Shortlisted'
+  ];
+
+  const rows = ranking.map(candidate => [
+    candidate.rank,
+    candidate.candidate,
+    candidate.fileName,
+    candidate.atsScore,
+    candidate.breakdown.keywordMatch,
+    candidate.breakdown.formatting,
+    candidate.breakdown.readability,
+    candidate.breakdown.structure,
+    candidate.breakdown.keywordBalance,
+    candidate.totalYears,
+    candidate.mustHave.matched,
+    candidate.mustHave.missing,
+    candidate.shortlisted ? 'yes' : 'no'
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n');
+};
+
+module.exports = {
+  MAX_BATCH_RESUMES,
+  isZip,
+  rankCandidates,
+  rankingToCsv
+};
@@ -0,0 +1,262 @@
+const { findSkills, normalizeSkill } = require('./skillTaxonomy');
+
+// Structured work-history extraction and years-of-experience calculation
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Years are 19xx or 20xx - any other four digits ("from 1500 to 3000") are not dates
+const YEAR_PATTERN = '(?:19|20)\\d{2}';
+const DATE_PATTERN = `(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?\\s+${YEAR_PATTERN}|\\d{1,2}\\/${YEAR_PATTERN}|${YEAR_PATTERN})(?!\\d)`;
+const DATE_RANGE_REGEX = new RegExp(`(?<!\\d)(${DATE_PATTERN})\\s*(?:-|–|—|to|until)\\s*(${DATE_PATTERN}|present|current|now|today|ongoing)`, 'i');
+
+// A date range on the line, unless it reaches past next year
+const findDateRange = (line) => {
+  const match = line.match(DATE_RANGE_REGEX);
+  if (!match) {
+    return null;
+  }
+  const maxYear = new Date().getFullYear() + 1;
+  const years = `${match[1]} ${match[2]}`.match(/\d{4}/g);
+  return years.every(year => Number(year) <= maxYear) ? match : null;
+};
+
+const BULLET_REGEX = /^[-•*▪●◦■►>–]\s*/;
+const TITLE_REGEX = /\b(engineer|developer|programmer|manager|analyst|intern|lead|director|consultant|designer|specialist|architect|scientist|administrator|coordinator|associate|officer|head|vp|president|assistant|technician|representative|executive|founder|co-founder|owner|supervisor|advisor|instructor|teacher|researcher|fellow|trainee|accountant|recruiter|strategist|editor|writer)\b/i;
+const SEPARATOR_REGEX = /\s+[|—–-]\s+|\s*\|\s*|\s+@\s+|\s+at\s+|\t/;
+
+// Convert a date token to a month index (year * 12 + month)
+const parseDate = (token, isEnd) => {
+  const value = token.toLowerCase().trim();
+
+  if (/^(present|current|now|today|ongoing)$/.test(value)) {
+    const now = new Date();
+    return { month: now.getFullYear() * 12 + now.getMonth() + 1, current: true };
+  }
+
+  const monthYear = value.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (monthYear) {
+    const month = MONTHS[monthYear[1].slice(0, 4)] ?? MONTHS[monthYear[1].slice(0, 3)];
+    return { month: Number(monthYear[2]) * 12 + month + (isEnd ? 1 : 0), current: false };
+  }
+
+  const numeric = value.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric) {
+    return { month: Number(numeric[2]) * 12 + Number(numeric[1]) - 1 + (isEnd ? 1 : 0), current: false };
+  }
+
+  // A bare year starts in January and ends after December
+  return { month: Number(value) * 12 + (isEnd ? 12 : 0), current: false };
+};
+
+const formatMonth = (month) => {
+  const year = Math.floor(month / 12);
+  return `${year}-${String((month % 12) + 1).padStart(2, '0')}`;
+};
+
+// Split header lines (everything that is not a bullet) into title, employer and location
+const parseHeader = (headerLines) => {
+  const header = { title: '', employer: '', location: '' };
+  const locationParts = [];
+
+  const pieces = headerLines
+    .join(' | ')
+    .split(SEPARATOR_REGEX)
+    .flatMap(part => part.split(/,\s*/))
+    .map(piece => piece.replace(/[()]/g, '').trim())
+    .filter(Boolean);
+
+  pieces.forEach((piece) => {
+    if (!header.title && TITLE_REGEX.test(piece)) {
+      header.title = piece;
+    } else if (/^(remote|hybrid|on-?site)$/i.test(piece) || (header.employer && /^[A-Z]/.test(piece))) {
+      locationParts.push(piece);
+    } else if (!header.employer) {
+      header.employer = piece;
+    }
+  });
+
+  header.location = locationParts.join(', ');
+  return header;
+};
+
+// Group the experience section into entries of header lines + bullets
+const extractExperience = (experienceText) => {
+  if (!experienceText) {
+    return [];
+  }
+
+  const blocks = [];
+  let current = null;
+
+  experienceText.split('\n').map(line => line.trim()).filter(Boolean).forEach((line) => {
+    const isBullet = BULLET_REGEX.test(line) || line.split(/\s+/).length > 14;
+    const hasDates = Boolean(findDateRange(line));
+
+    if (isBullet) {
+      if (!current) {
+        current = { headerLines: [], bullets: [] };
+        blocks.push(current);
+      }
+      current.bullets.push(line.replace(BULLET_REGEX, ''));
+      return;
+    }
+
+    const startsNewEntry = !current ||
+      current.bullets.length > 0 ||
+      (hasDates && current.headerLines.some(header => findDateRange(header)));
+
+    if (startsNewEntry) {
+      current = { headerLines: [], bullets: [] };
+      blocks.push(current);
+    }
+    current.headerLines.push(line);
+  });
+
+  return blocks.map((block) => {
+    const dateLine = block.headerLines.find(line => findDateRange(line));
+    const dateMatch = dateLine ? findDateRange(dateLine) : null;
+
+    const headerLines = block.headerLines
+      .map(line => (findDateRange(line) ? line.replace(DATE_RANGE_REGEX, '') : line).replace(/[\s|,—–-]+$/, '').trim())
+      .filter(Boolean);
+
+    const entry = {
+      ...parseHeader(headerLines),
+      startDate: null,
+      endDate: null,
+      current: false,
+      durationMonths: 0,
+      bullets: block.bullets
+    };
+
+    if (dateMatch) {
+      const start = parseDate(dateMatch[1], false);
+      const end = parseDate(dateMatch[2], true);
+
+      if (end.month >= start.month) {
+        entry.startDate = formatMonth(start.month);
+        entry.endDate = end.current ? null : formatMonth(Math.max(start.month, end.month - 1));
+        entry.current = end.current;
+        entry.durationMonths = end.month - start.month;
+        entry.range = [start.month, end.month];
+      }
+    }
+
+    return entry;
+  });
+};
+
+// Sum months across entries without double-counting overlapping roles
+const mergedMonths = (entries) => {
+  const ranges = entries
+    .filter(entry => entry.range)
+    .map(entry => [...entry.range])
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let last = null;
+
+  ranges.forEach(([start, end]) => {
+    if (!last || start > last[1]) {
+      last = [start, end];
+      total += end - start;
+    } else if (end > last[1]) {
+      total += end - last[1];
+      last[1] = end;
+    }
+  });
+
+  return total;
+};
+
+const toYears = (months) => Math.round((months / 12) * 10) / 10;
+
+const calculateTotalYears = (entries) => toYears(mergedMonths(entries));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Known skills are matched through the taxonomy so aliases count ("k8s" for Kubernetes)
+const mentionsSkill = (text, skill) => {
+  const canonical = normalizeSkill(skill);
+
+  if (canonical) {
+    return findSkills(text).includes(canonical);
+  }
+
+  return new RegExp(`(^|[^a-z0-9])${escapeRegex(skill.toLowerCase())}($|[^a-z0-9])`).test(text.toLowerCase());
+};
+
+// Years per skill, based on the roles whose title or bullets mention it
+const calculateSkillYears = (entries, skills) => {
+  const skillYears = {};
+
+  skills.forEach((skill) => {
+    const relevant = entries.filter(entry =>
+      mentionsSkill([entry.title, ...entry.bullets].join(' '), skill)
+    );
+
+    if (relevant.length > 0) {
+      skillYears[normalizeSkill(skill) || skill.toLowerCase()] = calculateTotalYears(relevant);
+    }
+  });
+
+  return skillYears;
+};
+
+// Find "5+ years of X" style requirements in a job description
+const extractYearsRequirements = (jobDescription) => {
+  const requirements = [];
+  const regex = /(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*\+?\s*)?(?:years?|yrs?)\.?(?:\s+of)?(?:\s+(?:professional|hands-on|commercial|relevant|industry|work|proven|solid|strong|practical))*(?:\s+experience)?(?:\s+(?:with|in|using|building|developing|on|as))?\s*([a-z0-9+#./ -]{0,40}?)(?=\s*(?:[,;:\n()]|\.(?=\s|$)|\band\b|\bor\b|\bexperience\b|\bis\b|\bpreferred\b|\brequired\b|$))/gi;
+  let match;
+
+  while ((match = regex.exec(jobDescription)) !== null) {
+    const skill = match[2].trim().replace(/^(a|an|the)\s+/i, '').toLowerCase();
+    const isSkill = skill && !/^(of|experience|professional)$/.test(skill);
+
+    requirements.push({
+      text: match[0].trim(),
+      years: Number(match[1]),
+      skill: isSkill ? (normalizeSkill(skill) || findSkills(skill)[0] || skill) : null
+    });
+  }
+
+  return requirements;
+};
+
+// Build the full timeline and compare it with the JD's years requirements
+const analyzeExperience = (experienceText, jobDescription = '', skills = []) => {
+  const entries = extractExperience(experienceText);
+  const totalYears = calculateTotalYears(entries);
+  const requirements = extractYearsRequirements(jobDescription);
+
+  const skillNames = [...new Set([
+    ...skills,
+    ...requirements.filter(req => req.skill).map(req => req.skill)
+  ])];
+  const skillYears = calculateSkillYears(entries, skillNames);
+
+  const comparedRequirements = requirements.map((req) => {
+    const actualYears = req.skill ? (skillYears[req.skill] || 0) : totalYears;
+    return { ...req, actualYears, met: actualYears >= req.years };
+  });
+
+  return {
+    entries: entries.map(({ range, ...entry }) => entry),
+    totalYears,
+    skillYears,
+    requirements: comparedRequirements,
+    datedEntries: entries.filter(entry => entry.range).length,
+    undatedEntries: entries.filter(entry => !entry.range).length
+  };
+};
+
+module.exports = {
+  extractExperience,
+  calculateTotalYears,
+  calculateSkillYears,
+  extractYearsRequirements,
+  analyzeExperience
+};
@@ -0,0 +1,63 @@
+const { analyzeResume } = require('./resumeAnalyzer');
+
+// Candidate mode - score one resume against several job descriptions
+
+const MAX_JOB_DESCRIPTIONS = 10;
+
+// Accepts strings or { title, description } objects
+const normalizeJobs = (jobDescriptions) => {
+  return jobDescriptions.map((job, index) => {
+    const description = typeof job === 'string' ? job : (job && job.description) || '';
+    const firstLine = description.split('\n').map(line => line.trim()).find(Boolean) || '';
+    const title = (job && job.title) || (firstLine.length <= 80 ? firstLine : `Job ${index + 1}`);
+
+    return { index, title, description };
+  });
+};
+
+const compareJobs = async (resumeText, jobDescriptions, options = {}) => {
+  const jobs = normalizeJobs(jobDescriptions);
+  const matrix = [];
+
+  for (const job of jobs) {
+    console.log('📊 Scoring against', job.title);
+    const analysis = await analyzeResume(resumeText, job.description, { profile: options.profile, includeSuggestions: false });
+
+    matrix.push({
+      index: job.index,
+      title: job.title,
+      atsScore: analysis.atsScore,
+      breakdown: analysis.breakdown,
+      matchedSkills: analysis.matchedSkills,
+      missingSkills: analysis.missingSkills,
+      mustHave: analysis.jobRequirements.mustHave,
+      minYearsExperience: analysis.jobRequirements.minYearsExperience,
+      strengths: analysis.strengths,
+      weaknesses: analysis.weaknesses
+    });
+  }
+
+  // Skills missing from the resume, counted across postings
+  const gapCounts = new Map();
+  matrix.forEach((row) => {
+    row.missingSkills.forEach(skill => gapCounts.set(skill, (gapCounts.get(skill) || 0) + 1));
+  });
+
+  const gaps = Array.from(gapCounts.entries())
+    .map(([skill, count]) => ({ skill, missingIn: count }))
+    .sort((a, b) => b.missingIn - a.missingIn);
+
+  const bestFit = matrix.reduce((best, row) => (!best || row.atsScore > best.atsScore ? row : best), null);
+
+  return {
+    matrix,
+    commonGaps: gaps.filter(gap => gap.missingIn === matrix.length).map(gap => gap.skill),
+    frequentGaps: gaps.filter(gap => gap.missingIn > 1),
+    bestFit: bestFit ? { index: bestFit.index, title: bestFit.title, atsScore: bestFit.atsScore } : null
+  };
+};
+
+module.exports = {
+  MAX_JOB_DESCRIPTIONS,
+  compareJobs
+};
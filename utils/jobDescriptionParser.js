@@ -0,0 +1,190 @@
+const { findSkills } = require('./skillTaxonomy');
+const { extractYearsRequirements } = require('./experienceParser');
+
+// Job description analysis - must-have vs. nice-to-have requirements, years, degrees, certifications
+// Only required headings and required markers make a skill must-have - skills under neutral
+// headings ("About us", "What you'll do") or outside any heading are general
+
+const REQUIRED_HEADING = /^(requirements|required|required (skills|qualifications|experience)|minimum qualifications|basic qualifications|qualifications|must[- ]haves?|what you('ll)? (need|bring)|what we('re)? looking for|who you are|skills (and|&) experience|you (have|bring))$/;
+const PREFERRED_HEADING = /^(preferred|preferred (skills|qualifications|experience)|nice[- ]to[- ]haves?|bonus( points)?|pluses|desirable|desired (skills|qualifications)|good to have|additional qualifications|extra credit|it'?s a plus if you have)$/;
+const NEUTRAL_HEADING = /^(about (us|the (role|team|company|job))|responsibilities|key responsibilities|what you('ll)? do|the role|role overview|overview|benefits|perks|compensation|why join us|our (team|company|culture)|job (summary|description))$/;
+
+const PREFERRED_MARKERS = /\b(preferred|a plus|is a plus|are a plus|bonus|nice[- ]to[- ]have|desirable|desired|ideally|good to have|advantageous|familiarity with|exposure to|not required)\b/i;
+const REQUIRED_MARKERS = /\b(required|must|must[- ]have|mandatory|essential|minimum|at least|need to have|requires?)\b/i;
+// These win over preferred markers in the same sentence ("Must know SQL, ideally PostgreSQL"), except "not required"
+const STRONG_REQUIRED_MARKERS = /(?<!\bnot\s)\b(required|must|mandatory)\b/i;
+
+const DEGREE_LEVELS = [
+  { level: 'doctorate', rank: 4, regex: /\b(ph\.?\s?d|doctorate|doctoral)\b/i },
+  { level: 'master', rank: 3, regex: /\b(master'?s?|m\.s\.|msc|m\.sc|mba|m\.tech|m\.eng|meng)(?![a-z])/i },
+  { level: 'bachelor', rank: 2, regex: /\b(bachelor'?s?|b\.s\.|bsc|b\.sc|b\.a\.|b\.tech|btech|b\.e\.|undergraduate degree|4[- ]year degree)(?![a-z])|\b(bs|ba)\s+(degree|in)\b/i },
+  { level: 'associate', rank: 1, regex: /\bassociate'?s?\s+degree\b/i },
+  { level: 'high school', rank: 0, regex: /\b(high school|ged|secondary school)\b/i }
+];
+
+const CERTIFICATION_ACRONYMS = /\b(PMP|CAPM|CISSP|CISM|CISA|CEH|OSCP|CompTIA (?:A\+|Network\+|Security\+)|CCNA|CCNP|CCIE|CKA|CKAD|CPA|CFA|CMA|SHRM-CP|SHRM-SCP|PHR|SPHR|CSM|PSM|ITIL|Six Sigma(?: (?:Green|Black) Belt)?|RHCE|RHCSA|MCSE|MCSA)\b/g;
+const CERTIFICATION_PHRASES = /\b((?:[A-Z][\w+.-]*\s+){1,5})(Certified(?:\s+[A-Z][\w+.-]*){0,4}|Certification|Certificate)\b|\bCertified\s+((?:[A-Z][\w+.-]*\s*){1,5})/g;
+
+// Classify a heading line, or return null when the line is regular content
+const classifyHeading = (line) => {
+  const normalized = line
+    .replace(/^[^a-z0-9]+|[^a-z0-9)']+$/gi, '')
+    .trim()
+    .toLowerCase();
+
+  if (!normalized || normalized.split(/\s+/).length > 7) {
+    return null;
+  }
+  if (PREFERRED_HEADING.test(normalized)) {
+    return 'preferred';
+  }
+  if (REQUIRED_HEADING.test(normalized)) {
+    return 'required';
+  }
+  if (NEUTRAL_HEADING.test(normalized)) {
+    return 'neutral';
+  }
+  return null;
+};
+
+// Split the JD into items (bullets / sentences) tagged with their importance
+const extractRequirementItems = (jobDescription) => {
+  const items = [];
+  let context = 'neutral';
+
+  jobDescription
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const heading = classifyHeading(line);
+      if (heading) {
+        context = heading;
+        return;
+      }
+
+      line
+        .replace(/^[-•*▪●◦■►>–]\s*/, '')
+        .split(/(?<=[.!?;])\s+(?=[A-Z])/)
+        .filter(sentence => sentence.trim().length > 0)
+        .forEach((sentence) => {
+          let importance = context;
+
+          if (STRONG_REQUIRED_MARKERS.test(sentence)) {
+            importance = 'required';
+          } else if (PREFERRED_MARKERS.test(sentence)) {
+            importance = 'preferred';
+          } else if (REQUIRED_MARKERS.test(sentence)) {
+            importance = 'required';
+          }
+
+          items.push({ text: sentence.trim(), importance, skills: findSkills(sentence) });
+        });
+    });
+
+  return items;
+};
+
+const extractDegree = (items) => {
+  const mentions = [];
+
+  items.forEach((item) => {
+    DEGREE_LEVELS.forEach(({ level, rank, regex }) => {
+      if (regex.test(item.text)) {
+        const field = item.text.match(/\b(?:degree|bachelor'?s?|master'?s?|ph\.?\s?d|bs|ms|b\.s\.|m\.s\.)\s+(?:degree\s+)?(?:in|of)\s+([A-Za-z &,/-]+?)(?=\s*(?:[.;:()]|,?\s+or\s+(?:equivalent|related)|$))/i);
+        mentions.push({ level, rank, importance: item.importance, field: field ? field[1].trim() : null });
+      }
+    });
+  });
+
+  if (mentions.length === 0) {
+    return null;
+  }
+
+  // Minimum required level is the lowest one asked for outside nice-to-have items
+  const required = mentions.filter(mention => mention.importance !== 'preferred');
+  const pool = required.length > 0 ? required : mentions;
+  const minimum = pool.reduce((lowest, mention) => (mention.rank < lowest.rank ? mention : lowest));
+
+  return {
+    level: minimum.level,
+    required: required.length > 0,
+    fields: [...new Set(mentions.map(mention => mention.field).filter(Boolean))],
+    preferredLevels: [...new Set(mentions.filter(mention => mention.importance === 'preferred').map(mention => mention.level))]
+  };
+};
+
+const extractCertifications = (items) => {
+  const certifications = new Map();
+
+  items.forEach((item) => {
+    const names = [];
+
+    (item.text.match(CERTIFICATION_ACRONYMS) || []).forEach(name => names.push(name));
+
+    let match;
+    CERTIFICATION_PHRASES.lastIndex = 0;
+    while ((match = CERTIFICATION_PHRASES.exec(item.text)) !== null) {
+      names.push(match[0].trim());
+    }
+
+    names.forEach((name) => {
+      const existing = certifications.get(name.toLowerCase());
+      if (!existing || (existing.importance === 'preferred' && item.importance !== 'preferred')) {
+        certifications.set(name.toLowerCase(), { name, required: item.importance !== 'preferred', importance: item.importance });
+      }
+    });
+  });
+
+  return Array.from(certifications.values()).map(({ name, required }) => ({ name, required }));
+};
+
+// Main entry point
+const parseJobDescription = (jobDescription = '') => {
+  const items = extractRequirementItems(jobDescription);
+  const yearsRequirements = extractYearsRequirements(jobDescription);
+
+  const requiredSkills = new Set();
+  const preferredSkills = new Set();
+  const generalSkills = new Set();
+  const skillSets = { required: requiredSkills, preferred: preferredSkills, neutral: generalSkills };
+
+  items.forEach((item) => {
+    item.skills.forEach(skill => skillSets[item.importance].add(skill));
+  });
+
+  // A skill that is required anywhere is not merely preferred, and either one is more than general
+  requiredSkills.forEach((skill) => {
+    preferredSkills.delete(skill);
+    generalSkills.delete(skill);
+  });
+  preferredSkills.forEach(skill => generalSkills.delete(skill));
+
+  const generalYears = yearsRequirements.filter(req => !req.skill).map(req => req.years);
+  const allYears = yearsRequirements.map(req => req.years);
+
+  return {
+    required: {
+      skills: Array.from(requiredSkills),
+      items: items.filter(item => item.importance === 'required').map(item => item.text)
+    },
+    preferred: {
+      skills: Array.from(preferredSkills),
+      items: items.filter(item => item.importance === 'preferred').map(item => item.text)
+    },
+    general: {
+      skills: Array.from(generalSkills)
+    },
+    minYearsExperience: generalYears.length > 0
+      ? Math.max(...generalYears)
+      : (allYears.length > 0 ? Math.max(...allYears) : null),
+    yearsRequirements,
+    degree: extractDegree(items),
+    certifications: extractCertifications(items)
+  };
+};
+
+module.exports = {
+  parseJobDescription
+};
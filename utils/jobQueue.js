@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Bounded in-process job queue - long analyses run in the background instead of holding the request open
+// Jobs live in memory only: a restart loses queued and finished jobs
+
+const DEFAULT_CONCURRENCY = 1; // scoring is CPU-bound
+const DEFAULT_MAX_QUEUED = 20;
+const DEFAULT_RESULT_TTL_MS = 60 * 60 * 1000; // finished jobs are kept for an hour
+
+// Public view of a job - the result is only returned by getResult
+const toStatus = (job, position) => ({
+  id: job.id,
+  status: job.status,
+  stage: job.stage,
+  progress: job.progress,
+  position: job.status === 'queued' ? position : null,
+  error: job.error,
+  errorCode: job.errorCode,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+const createJobQueue = (options = {}) => {
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const maxQueued = options.maxQueued || DEFAULT_MAX_QUEUED;
+  const resultTtlMs = options.resultTtlMs || DEFAULT_RESULT_TTL_MS;
+
+  const jobs = new Map();
+  const pending = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // one listener per open progress stream
+  let running = 0;
+
+  const statusOf = (job) => toStatus(job, pending.indexOf(job) + 1);
+
+  const publish = (job) => events.emit(job.id, statusOf(job));
+
+  const pruneFinished = () => {
+    const cutoff = Date.now() - resultTtlMs;
+    jobs.forEach((job, id) => {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    });
+  };
+
+  const execute = async (job) => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    publish(job);
+    // Everyone still waiting moved up one place
+    pending.forEach(publish);
+
+    const reportProgress = (stage, progress) => {
+      job.stage = stage;
+      job.progress = progress ?? job.progress;
+      publish(job);
+    };
+
+    try {
+      job.result = await job.task(reportProgress);
+      job.status = 'completed';
+      job.stage = 'completed';
+      job.progress = 100;
+    } catch (error) {
+      console.error('❌ Job failed:', job.id, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+      job.errorCode = error.code || null;
+    }
+
+    job.task = null;
+    job.finishedAt = new Date().toISOString();
+    publish(job);
+  };
+
+  const runNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running += 1;
+      execute(job).finally(() => {
+        running -= 1;
+        runNext();
+      });
+    }
+  };
+
+  return {
+    // task(reportProgress) resolves to the job result; owner limits who may read the job
+    submit: (task, { owner = null } = {}) => {
+      pruneFinished();
+
+      if (pending.length >= maxQueued) {
+        const error = new Error(`Too many analyses are waiting (limit ${maxQueued}) - please try again shortly`);
+        error.code = 'QUEUE_FULL';
+        throw error;
+      }
+
+      const job = {
+        id: crypto.randomUUID(),
+        owner,
+        task,
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        result: null,
+        error: null,
+        errorCode: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+      };
+
+      jobs.set(job.id, job);
+      pending.push(job);
+      setImmediate(runNext);
+
+      return statusOf(job);
+    },
+
+    // Raw job (with owner and result) or null
+    get: (id) => jobs.get(id) || null,
+
+    getStatus: (id) => {
+      const job = jobs.get(id);
+      return job ? statusOf(job) : null;
+    },
+
+    // listener(status) on every change - returns the unsubscribe function
+    subscribe: (id, listener) => {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+
+    stats: () => ({
+      running,
+      queued: pending.length,
+      concurrency,
+      maxQueued
+    })
+  };
+};
+
+module.exports = {
+  createJobQueue
+};
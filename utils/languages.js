@@ -0,0 +1,251 @@
+const natural = require('natural');
+// natural only exports the English list - the Spanish and French ones ship in its util folder
+const { words: SPANISH_STOPWORDS } = require('natural/lib/natural/util/stopwords_es');
+const { words: FRENCH_STOPWORDS } = require('natural/lib/natural/util/stopwords_fr');
+
+// Resume and job description languages - English is the default and keeps the original
+// English-only rules, the others supply their own headings, verbs, stopwords and stemmer
+
+const GERMAN_STOPWORDS = [
+  'aber', 'alle', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bzw', 'da', 'damit', 'dann',
+  'das', 'dass', 'dem', 'den', 'der', 'des', 'die', 'dies', 'diese', 'dieser', 'doch', 'du', 'durch', 'ein', 'eine',
+  'einem', 'einen', 'einer', 'eines', 'er', 'es', 'für', 'hat', 'habe', 'haben', 'ich', 'ihr', 'ihre', 'im', 'in',
+  'ist', 'ja', 'kann', 'mein', 'meine', 'meinen', 'meiner', 'mich', 'mir', 'mit', 'nach', 'nicht', 'noch', 'nur',
+  'oder', 'ohne', 'sehr', 'sich', 'sie', 'sind', 'so', 'sowie', 'über', 'um', 'und', 'uns', 'unser', 'unsere',
+  'unter', 'vom', 'von', 'vor', 'war', 'waren', 'was', 'weil', 'wenn', 'werden', 'wie', 'wir', 'wird', 'wurde',
+  'zu', 'zum', 'zur', 'zwischen'
+];
+
+const HINDI_STOPWORDS = [
+  'और', 'का', 'की', 'के', 'को', 'में', 'से', 'पर', 'है', 'हैं', 'था', 'थी', 'थे', 'हो', 'होने', 'एक', 'यह', 'वह',
+  'ये', 'वे', 'इस', 'उस', 'इन', 'उन', 'तक', 'भी', 'या', 'लिए', 'साथ', 'द्वारा', 'जो', 'कि', 'ने', 'मैं', 'मेरा',
+  'मेरी', 'मेरे', 'मुझे', 'हम', 'हमारे', 'कर', 'करना', 'किया', 'गया', 'गई', 'रहा', 'रही', 'रहे', 'अपने', 'अपनी'
+];
+
+// Job ad boilerplate ("we are looking for", "we offer", "requirements") - not keywords a resume should repeat
+const JOB_AD_WORDS = {
+  es: ['nuestro', 'nuestra', 'nuestros', 'nuestras', 'buscamos', 'ofrecemos', 'requisitos', 'responsabilidades', 'funciones',
+    'valorará', 'valora', 'menos', 'años', 'tener', 'será', 'debe', 'este', 'esta', 'estos', 'entre', 'sin', 'sobre', 'todo'],
+  de: ['suchen', 'bieten', 'aufgaben', 'profil', 'mindestens', 'jahre', 'jahren', 'ihren', 'ihrem', 'bringst', 'bringen', 'gute', 'gerne'],
+  fr: ['recherchons', 'offrons', 'missions', 'profil', 'requis', 'ans', 'années', 'votre', 'vos', 'notre', 'nos', 'poste', 'moins'],
+  hi: ['हमें', 'आवश्यकता', 'आवश्यकताएं', 'जिम्मेदारियां', 'साल', 'वर्ष', 'कम']
+};
+
+// Light suffix stripping for Hindi (Ramanathan & Rao) - natural has no Hindi stemmer
+const HINDI_SUFFIXES = [
+  'ाएंगी', 'ाएंगे', 'ाऊंगी', 'ाऊंगा', 'ाइयाँ', 'ाइयों', 'ाइयां',
+  'ाकर', 'ाइए', 'ाईं', 'ाया', 'ेगी', 'ेगा', 'ोगी', 'ोगे', 'ाने', 'ाना', 'ाते', 'ाती', 'ाता', 'तीं', 'ाओं', 'ाएं', 'ुओं', 'ुएं', 'ुआं',
+  'कर', 'ाओ', 'िए', 'ाई', 'ाए', 'ने', 'नी', 'ना', 'ते', 'ीं', 'ती', 'ता', 'ाँ', 'ां', 'ों', 'ें',
+  'ो', 'े', 'ू', 'ु', 'ी', 'ि', 'ा'
+];
+
+const stemHindi = (word) => {
+  const suffix = HINDI_SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= 2);
+  return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+const LANGUAGES = {
+  en: {
+    code: 'en',
+    name: 'English',
+    stopwords: new Set(natural.stopwords),
+    stem: word => natural.PorterStemmer.stem(word),
+    // Function words used for detection - common in running text, rare in the other languages
+    markers: ['the', 'and', 'of', 'to', 'with', 'for', 'in', 'on', 'is', 'was', 'as', 'at', 'by', 'from', 'an', 'our', 'you', 'will'],
+    // English keeps the original patterns in atsScoring, aiSuggestions and resumeParser
+    pronouns: null,
+    actionVerbs: null,
+    headings: {}
+  },
+  es: {
+    code: 'es',
+    name: 'Spanish',
+    stopwords: new Set([...SPANISH_STOPWORDS, ...JOB_AD_WORDS.es]),
+    stem: word => natural.PorterStemmerEs.stem(word),
+    markers: ['el', 'la', 'los', 'las', 'del', 'y', 'que', 'con', 'para', 'por', 'una', 'es', 'como', 'más', 'en', 'se'],
+    pronouns: ['yo', 'me', 'mi', 'mis', 'mío', 'mía', 'conmigo'],
+    actionVerbs: [
+      'desarrollé', 'lideré', 'gestioné', 'diseñé', 'implementé', 'creé', 'dirigí', 'coordiné', 'mejoré', 'optimicé',
+      'logré', 'reduje', 'aumenté', 'automaticé', 'construí', 'lancé', 'analicé', 'supervisé', 'negocié', 'establecí',
+      'migré', 'integré', 'mantuve', 'desarrollar', 'liderar', 'gestionar', 'diseñar', 'implementar', 'crear', 'dirigir',
+      'coordinar', 'mejorar', 'optimizar', 'reducir', 'aumentar', 'automatizar', 'construir', 'lanzar', 'analizar', 'supervisar'
+    ],
+    headings: {
+      summary: /^(resumen( profesional)?|perfil( profesional)?|objetivo( profesional)?|sobre mí|extracto)$/,
+      experience: /^(experiencia( profesional| laboral)?|historial laboral|trayectoria( profesional)?)$/,
+      education: /^(educación|formación( académica)?|estudios|datos académicos)$/,
+      skills: /^(habilidades( técnicas)?|competencias( técnicas)?|aptitudes|conocimientos( técnicos)?)$/,
+      certifications: /^(certificaciones|certificados|licencias( y certificaciones)?)$/,
+      projects: /^(proyectos( personales| destacados)?)$/
+    }
+  },
+  de: {
+    code: 'de',
+    name: 'German',
+    stopwords: new Set([...GERMAN_STOPWORDS, ...JOB_AD_WORDS.de]),
+    stem: word => natural.PorterStemmerDe.stem(word),
+    markers: ['der', 'die', 'das', 'und', 'mit', 'für', 'von', 'ist', 'ein', 'eine', 'den', 'dem', 'im', 'zu', 'auf', 'sowie'],
+    pronouns: ['ich', 'mich', 'mir', 'mein', 'meine', 'meinen', 'meinem', 'meiner', 'meines'],
+    actionVerbs: [
+      'entwickelt', 'entwickelte', 'entwickeln', 'entwicklung', 'geleitet', 'leitete', 'leiten', 'leitung', 'geführt', 'führte',
+      'führen', 'gestaltet', 'gestaltete', 'implementiert', 'implementierte', 'erstellt', 'erstellte', 'verbessert', 'verbesserte',
+      'optimiert', 'optimierte', 'koordiniert', 'koordinierte', 'gesteigert', 'steigerte', 'reduziert', 'reduzierte', 'automatisiert',
+      'automatisierte', 'aufgebaut', 'baute', 'eingeführt', 'analysiert', 'analysierte', 'betreut', 'betreute',
+      'verantwortet', 'verantwortete', 'umgesetzt', 'setzte', 'konzipiert', 'konzipierte', 'migriert', 'migrierte', 'integriert', 'integrierte'
+    ],
+    headings: {
+      summary: /^(profil|kurzprofil|zusammenfassung|über mich)$/,
+      experience: /^(berufserfahrung|berufliche erfahrung|erfahrung|(beruflicher )?werdegang|berufspraxis)$/,
+      education: /^(ausbildung|bildung|(schul|aus)?bildungsweg|studium|akademische ausbildung)$/,
+      skills: /^((it|edv|fach|technische )?kenntnisse|fähigkeiten|kompetenzen|(fachliche|technische) kompetenzen)$/,
+      certifications: /^(zertifikate|zertifizierungen|weiterbildung(en)?|weiterbildung (und|&) zertifikate)$/,
+      projects: /^(projekte|projekterfahrung|ausgewählte projekte)$/
+    }
+  },
+  fr: {
+    code: 'fr',
+    name: 'French',
+    stopwords: new Set([...FRENCH_STOPWORDS, ...JOB_AD_WORDS.fr]),
+    stem: word => natural.PorterStemmerFr.stem(word),
+    markers: ['le', 'la', 'les', 'des', 'du', 'et', 'est', 'avec', 'pour', 'dans', 'une', 'sur', 'au', 'aux', 'nous', 'vous'],
+    // "j'ai" is tokenized as "j" and "ai"
+    pronouns: ['je', 'j', 'moi', 'me', 'm', 'mon', 'ma', 'mes'],
+    actionVerbs: [
+      'développé', 'dirigé', 'géré', 'conçu', 'créé', 'piloté', 'coordonné', 'amélioré', 'optimisé', 'réduit', 'augmenté',
+      'automatisé', 'lancé', 'analysé', 'supervisé', 'négocié', 'encadré', 'migré', 'intégré', 'déployé', 'mis', 'réalisé',
+      'développer', 'diriger', 'gérer', 'concevoir', 'créer', 'piloter', 'coordonner', 'améliorer', 'optimiser', 'réduire',
+      'augmenter', 'automatiser', 'lancer', 'analyser', 'superviser', 'encadrer', 'déployer', 'réaliser'
+    ],
+    headings: {
+      summary: /^(profil( professionnel)?|résumé|objectif( professionnel)?|à propos( de moi)?)$/,
+      experience: /^(expériences?( professionnelles?)?|parcours( professionnel)?)$/,
+      education: /^(formations?|éducation|études|diplômes|formation académique)$/,
+      skills: /^(compétences( techniques| clés)?|aptitudes|savoir-faire)$/,
+      certifications: /^(certifications|certificats)$/,
+      projects: /^(projets( personnels| réalisés)?)$/
+    }
+  },
+  hi: {
+    code: 'hi',
+    name: 'Hindi',
+    stopwords: new Set([...HINDI_STOPWORDS, ...JOB_AD_WORDS.hi]),
+    stem: stemHindi,
+    markers: ['और', 'का', 'की', 'के', 'को', 'में', 'से', 'है', 'हैं', 'पर'],
+    pronouns: ['मैं', 'मेरा', 'मेरी', 'मेरे', 'मुझे', 'मुझसे'],
+    actionVerbs: [
+      'विकसित', 'प्रबंधित', 'प्रबंधन', 'नेतृत्व', 'डिज़ाइन', 'डिजाइन', 'लागू', 'बनाया', 'सुधार', 'सुधारा', 'बढ़ाया', 'घटाया',
+      'समन्वय', 'स्वचालित', 'विश्लेषण', 'निर्माण', 'स्थापित', 'शुरू', 'संचालित', 'प्रशिक्षित'
+    ],
+    headings: {
+      summary: /^(सारांश|व्यावसायिक सारांश|प्रोफ़ाइल|प्रोफाइल|उद्देश्य|करियर उद्देश्य)$/,
+      experience: /^((कार्य|व्यावसायिक) )?अनुभव$/,
+      education: /^(शिक्षा|शैक्षिक योग्यता|शैक्षणिक योग्यता)$/,
+      skills: /^((तकनीकी )?कौशल|दक्षताएं)$/,
+      certifications: /^(प्रमाणपत्र|प्रमाणन)$/,
+      projects: /^(परियोजनाएं|परियोजनाएँ|प्रोजेक्ट्स?)$/
+    }
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Below this many words there's too little text to tell languages apart
+const MIN_DETECTION_WORDS = 20;
+// Share of letters in Devanagari above which text is treated as Hindi
+const DEVANAGARI_SHARE = 0.3;
+
+// Words in any script - apostrophes split ("j'ai" -> "j", "ai"), hyphens don't
+const WORD_REGEX = /[\p{L}\p{M}\p{N}]+(?:-[\p{L}\p{M}\p{N}]+)*/gu;
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(WORD_REGEX) || []);
+
+const getLanguage = (code) => LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+
+// Precomputed per language - the marker sets and action verb stems
+const MARKER_SETS = Object.fromEntries(Object.values(LANGUAGES).map(language => [language.code, new Set(language.markers)]));
+const ACTION_VERB_STEMS = Object.fromEntries(Object.values(LANGUAGES)
+  .filter(language => language.actionVerbs)
+  .map(language => [language.code, new Set(language.actionVerbs.map(verb => language.stem(verb)))]));
+
+// { code, name, confidence, reliable } - falls back to English when the text gives too little signal
+const detectLanguage = (text) => {
+  const value = String(text || '');
+  const letters = (value.match(/[\p{L}\p{M}]/gu) || []).length;
+  const devanagari = (value.match(/\p{Script=Devanagari}/gu) || []).length;
+  const words = tokenize(value);
+
+  const result = (code, confidence, reliable) => ({ code, name: LANGUAGES[code].name, confidence: Math.round(confidence * 100) / 100, reliable });
+
+  if (letters > 0 && devanagari / letters > DEVANAGARI_SHARE) {
+    return result('hi', devanagari / letters, words.length >= MIN_DETECTION_WORDS);
+  }
+
+  // Share of each language's function words among all words
+  const hits = Object.fromEntries(Object.keys(LANGUAGES).map(code => [code, 0]));
+  words.forEach((word) => {
+    Object.keys(hits).forEach((code) => {
+      if (MARKER_SETS[code].has(word)) hits[code] += 1;
+    });
+  });
+
+  const total = Object.values(hits).reduce((sum, count) => sum + count, 0);
+  const [best, bestHits] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0];
+
+  if (words.length < MIN_DETECTION_WORDS || total === 0) {
+    return result(DEFAULT_LANGUAGE, 0, false);
+  }
+  return result(best, bestHits / total, true);
+};
+
+// Content words - not stopwords or numbers, one surface form per stem
+const extractTerms = (text, language) => {
+  const terms = new Map();
+  tokenize(text).forEach((word) => {
+    if (word.length < 3 || /^\d/.test(word) || language.stopwords.has(word)) {
+      return;
+    }
+    const stem = language.stem(word);
+    if (!terms.has(stem)) {
+      terms.set(stem, word);
+    }
+  });
+  return Array.from(terms.values());
+};
+
+// Stems of every word in the text, for matching terms regardless of inflection
+const stemSet = (text, language) => new Set(tokenize(text).map(word => language.stem(word)));
+
+// Pronoun and action verb hits (lowercased) - only for languages with their own lists
+const findPronouns = (text, language) => {
+  const pronouns = new Set(language.pronouns || []);
+  return tokenize(text).filter(word => pronouns.has(word));
+};
+
+const findActionVerbs = (text, language) => {
+  const stems = ACTION_VERB_STEMS[language.code];
+  return stems ? tokenize(text).filter(word => stems.has(language.stem(word))) : [];
+};
+
+// Section name for a normalized heading line in any supported language, or null
+const matchLanguageHeading = (normalized) => {
+  for (const language of Object.values(LANGUAGES)) {
+    const section = Object.keys(language.headings).find(name => language.headings[name].test(normalized));
+    if (section) {
+      return section;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLanguage,
+  detectLanguage,
+  tokenize,
+  extractTerms,
+  stemSet,
+  findPronouns,
+  findActionVerbs,
+  matchLanguageHeading
+};
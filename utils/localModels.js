@@ -0,0 +1,58 @@
+const path = require('path');
+const fs = require('fs');
+
+// Local (offline) HuggingFace model loading
+// Models are read from LOCAL_MODELS_PATH, laid out as <dir>/<org>/<model>/ (config.json, tokenizer.json, onnx/)
+
+const modelsDir = process.env.LOCAL_MODELS_PATH || path.join(__dirname, '../ai-models');
+
+let transformers = null;
+
+try {
+  transformers = require('@huggingface/transformers');
+  transformers.env.allowRemoteModels = process.env.ALLOW_REMOTE_MODELS === 'true';
+  transformers.env.allowLocalModels = true;
+  transformers.env.localModelPath = modelsDir;
+  transformers.env.cacheDir = modelsDir;
+} catch (error) {
+  console.log('⚠️ HuggingFace Transformers not available - model-based features disabled');
+}
+
+// One pipeline per task + model, loaded on first use
+const pipelines = new Map();
+
+const isModelAvailable = (modelName) => {
+  return Boolean(transformers) &&
+    (transformers.env.allowRemoteModels || fs.existsSync(path.join(modelsDir, modelName, 'config.json')));
+};
+
+const loadPipeline = (task, modelName) => {
+  const key = `${task}:${modelName}`;
+
+  if (!pipelines.has(key)) {
+    if (!isModelAvailable(modelName)) {
+      return Promise.resolve(null);
+    }
+
+    console.log(`🤖 Loading ${task} model ${modelName}...`);
+    const loading = transformers.pipeline(task, modelName)
+      .then((pipe) => {
+        console.log(`✅ ${modelName} loaded`);
+        return pipe;
+      })
+      .catch((error) => {
+        console.log(`⚠️ Could not load ${modelName}:`, error.message);
+        return null;
+      });
+
+    pipelines.set(key, loading);
+  }
+
+  return pipelines.get(key);
+};
+
+module.exports = {
+  modelsDir,
+  isModelAvailable,
+  loadPipeline
+};
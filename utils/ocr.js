@@ -0,0 +1,260 @@
+const path = require('path');
+const fs = require('fs');
+const { loadPdfDocument, getPageImages, imageToPng } = require('./pdfDocument');
+const { uploadError } = require('./uploadValidation');
+
+// OCR fallback for scanned / image-only PDFs using tesseract.js
+// Language data is read from disk only - never downloaded
+// OCR_ENABLED (default true), OCR_LANGUAGE (default eng), OCR_LANG_PATH, OCR_MAX_PAGES (default 5),
+// OCR_TIMEOUT_MS (default 60s for the whole file), OCR_MAX_IMAGES_PER_PAGE (default 4)
+// Oversized images are dropped by pdf.js before decoding (OCR_MAX_IMAGE_PIXELS, see utils/pdfDocument)
+
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES, 10) || 5;
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS, 10) || 60000;
+const OCR_MAX_IMAGES_PER_PAGE = parseInt(process.env.OCR_MAX_IMAGES_PER_PAGE, 10) || 4;
+
+// Pages with less text than this are treated as image-only
+const MIN_PAGE_TEXT_LENGTH = 20;
+// Images smaller than this (logos, icons) are never OCR'd
+const MIN_IMAGE_SIDE = 300;
+
+// Bundled @tesseract.js-data/eng package unless OCR_LANG_PATH points elsewhere
+const resolveLangPath = () => {
+  if (process.env.OCR_LANG_PATH) {
+    return process.env.OCR_LANG_PATH;
+  }
+  try {
+    return path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int');
+  } catch (error) {
+    return null;
+  }
+};
+
+const langPath = resolveLangPath();
+
+const isOcrAvailable = () => {
+  if (process.env.OCR_ENABLED === 'false' || !langPath) {
+    return false;
+  }
+  return OCR_LANGUAGE.split('+').every(language =>
+    fs.existsSync(path.join(langPath, `${language}.traineddata.gz`)) ||
+    fs.existsSync(path.join(langPath, `${language}.traineddata`))
+  );
+};
+
+// One worker, created on first use and shared by concurrent uploads
+let workerLoading = null;
+let currentWorker = null;
+// Uploads using each worker: { jobs, retired } - a retired worker is stopped once its last upload is done
+const workerUsage = new Map();
+
+const getWorker = () => {
+  if (!workerLoading) {
+    if (!isOcrAvailable()) {
+      return Promise.resolve(null);
+    }
+
+    console.log(`🔎 Loading OCR engine (${OCR_LANGUAGE})...`);
+    const gzip = !fs.existsSync(path.join(langPath, `${OCR_LANGUAGE.split('+')[0]}.traineddata`));
+
+    const { createWorker, OEM } = require('tesseract.js');
+
+    workerLoading = createWorker(OCR_LANGUAGE, OEM.LSTM_ONLY, { langPath, gzip, cacheMethod: 'none' })
+      .then((worker) => {
+        console.log('✅ OCR engine loaded');
+        currentWorker = worker;
+        return worker;
+      })
+      .catch((error) => {
+        console.log('⚠️ Could not load OCR engine:', error.message);
+        workerLoading = null;
+        return null;
+      });
+  }
+
+  return workerLoading;
+};
+
+// Rejects once the OCR deadline has passed - the pending work is abandoned, not awaited
+const beforeDeadline = (promise, deadline) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('OCR deadline exceeded')), Math.max(0, deadline - Date.now()));
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const holdWorker = (worker) => {
+  const usage = workerUsage.get(worker) || { jobs: 0, retired: false };
+  usage.jobs += 1;
+  workerUsage.set(worker, usage);
+};
+
+const releaseWorker = async (worker) => {
+  const usage = workerUsage.get(worker);
+  usage.jobs -= 1;
+  if (usage.jobs > 0 || !usage.retired) {
+    return;
+  }
+
+  workerUsage.delete(worker);
+  try {
+    await worker.terminate();
+  } catch (error) {
+    console.log('⚠️ Could not stop OCR engine:', error.message);
+  }
+};
+
+// A recognize call that missed the deadline keeps the worker busy - the next upload loads a fresh one,
+// uploads still queued on this one finish (or time out) before it is stopped
+const retireWorker = (worker) => {
+  if (currentWorker === worker) {
+    currentWorker = null;
+    workerLoading = null;
+  }
+  workerUsage.get(worker).retired = true;
+};
+
+// Page images worth OCR-ing, largest first
+const selectImages = (images) => {
+  return images
+    .filter(image => Math.min(image.width, image.height) >= MIN_IMAGE_SIDE)
+    .sort((a, b) => b.width * b.height - a.width * a.height)
+    .slice(0, OCR_MAX_IMAGES_PER_PAGE);
+};
+
+// Same line joining as pdf-parse's default page renderer
+const textContentToString = (textContent) => {
+  let lastY;
+  let text = '';
+
+  textContent.items.forEach((item) => {
+    text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  });
+
+  return text;
+};
+
+// Rebuild the text of a PDF page by page, OCR-ing the pages without a text layer
+// Returns { text, ocr } or null when OCR is unavailable or there is nothing to OCR
+// Pages not reached before OCR_TIMEOUT_MS are listed in skippedPages (with timedOut: true)
+// Loading the engine and the document counts against the same deadline (PARSE_TIMEOUT when it runs out first)
+const ocrPdf = async (buffer) => {
+  const deadline = Date.now() + OCR_TIMEOUT_MS;
+  const timeoutError = () => uploadError('PARSE_TIMEOUT', `OCR took longer than ${OCR_TIMEOUT_MS / 1000}s`);
+
+  let worker;
+  try {
+    worker = await beforeDeadline(getWorker(), deadline);
+  } catch (error) {
+    throw timeoutError();
+  }
+  if (!worker) {
+    return null;
+  }
+  holdWorker(worker);
+
+  const loadingTask = loadPdfDocument(buffer);
+  let doc;
+  try {
+    doc = await beforeDeadline(loadingTask, deadline);
+  } catch (error) {
+    loadingTask.destroy();
+    await releaseWorker(worker);
+    throw Date.now() < deadline ? error : timeoutError();
+  }
+
+  const totalPages = doc.numPages;
+  const pageTexts = [];
+  const ocrPages = [];
+  const skippedPages = [];
+  let timedOut = false;
+
+  try {
+    for (let pageNumber = 1; pageNumber <= totalPages; pageNumber += 1) {
+      if (timedOut || Date.now() >= deadline) {
+        timedOut = true;
+        skippedPages.push(pageNumber);
+        continue;
+      }
+
+      const recognized = [];
+      let recognizing = false;
+      try {
+        const page = await beforeDeadline(doc.getPage(pageNumber), deadline);
+        const pageText = textContentToString(await beforeDeadline(page.getTextContent(), deadline));
+
+        if (pageText.replace(/\s/g, '').length >= MIN_PAGE_TEXT_LENGTH) {
+          pageTexts.push(pageText);
+          continue;
+        }
+
+        if (ocrPages.length >= OCR_MAX_PAGES) {
+          skippedPages.push(pageNumber);
+          continue;
+        }
+
+        const images = selectImages(await beforeDeadline(getPageImages(page), deadline));
+        for (const image of images) {
+          recognizing = true;
+          const { data } = await beforeDeadline(worker.recognize(imageToPng(image)), deadline);
+          recognizing = false;
+          recognized.push({ text: data.text, confidence: data.confidence });
+        }
+      } catch (error) {
+        if (Date.now() < deadline) throw error;
+        console.log(`⚠️ OCR stopped at page ${pageNumber} - over ${OCR_TIMEOUT_MS}ms`);
+        timedOut = true;
+        if (recognizing) {
+          retireWorker(worker);
+        }
+        if (recognized.length === 0) {
+          skippedPages.push(pageNumber);
+        }
+      }
+
+      if (recognized.length > 0) {
+        const text = recognized.map(result => result.text).join('\n');
+        const characters = text.replace(/\s/g, '').length;
+        const confidence = recognized.reduce((sum, result) => sum + result.confidence, 0) / recognized.length;
+
+        ocrPages.push({ page: pageNumber, confidence: Math.round(confidence), characters });
+        pageTexts.push(text);
+      }
+    }
+  } finally {
+    doc.destroy();
+    await releaseWorker(worker);
+  }
+
+  if (ocrPages.length === 0) {
+    return null;
+  }
+
+  // Page confidences weighted by how much text each page contributed
+  const totalCharacters = ocrPages.reduce((sum, page) => sum + page.characters, 0);
+  const confidence = totalCharacters > 0
+    ? ocrPages.reduce((sum, page) => sum + page.confidence * page.characters, 0) / totalCharacters
+    : 0;
+
+  return {
+    text: pageTexts.join('\n\n'),
+    ocr: {
+      used: true,
+      engine: 'tesseract',
+      language: OCR_LANGUAGE,
+      confidence: Math.round(confidence),
+      pages: ocrPages.map(({ page, confidence: pageConfidence }) => ({ page, confidence: pageConfidence })),
+      totalPages,
+      skippedPages,
+      timedOut
+    }
+  };
+};
+
+module.exports = {
+  isOcrAvailable,
+  ocrPdf
+};
@@ -0,0 +1,150 @@
+const zlib = require('zlib');
+
+// Page-level PDF access through the pdf.js build bundled with pdf-parse
+// (pdf-parse itself only returns the flattened text)
+
+// A 600 dpi letter-size scan is ~34M pixels - pdf.js drops bigger images before decoding them,
+// so a small PDF can't expand into gigabytes of pixels (OCR_MAX_IMAGE_PIXELS, default 40M)
+const MAX_IMAGE_PIXELS = parseInt(process.env.OCR_MAX_IMAGE_PIXELS, 10) || 40 * 1000 * 1000;
+
+let PDFJS = null;
+
+const getPdfjs = () => {
+  if (!PDFJS) {
+    PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+    PDFJS.disableWorker = true;
+    // Font loading needs a DOM - without this, fonts in operator lists crash the process
+    // (settings are read from the global PDFJS object, not the module exports)
+    PDFJS.PDFJS.disableFontFace = true;
+    PDFJS.PDFJS.maxImageSize = MAX_IMAGE_PIXELS;
+  }
+  return PDFJS;
+};
+
+// Images are decoded by pdf.js itself (no native/browser decoder in Node)
+const loadPdfDocument = (buffer) => {
+  return getPdfjs().getDocument({
+    data: new Uint8Array(buffer),
+    nativeImageDecoderSupport: 'none'
+  });
+};
+
+// Decoded images painted on a page: { width, height, kind, data }
+// options.includeMasks also returns stencil masks and inline images (icons, bullets) - those carry mask: true / inline: true
+const getPageImages = async (page, options = {}) => {
+  const { OPS } = getPdfjs();
+  const operatorList = options.operatorList || await page.getOperatorList();
+  const images = [];
+
+  operatorList.fnArray.forEach((fn, index) => {
+    const args = operatorList.argsArray[index];
+
+    if (fn === OPS.paintImageXObject || fn === OPS.paintJpegXObject) {
+      const image = page.objs.get(args[0]);
+      if (image && image.data) {
+        images.push(image);
+      }
+    } else if (options.includeMasks && fn === OPS.paintInlineImageXObject && args[0]) {
+      images.push({ ...args[0], inline: true });
+    } else if (options.includeMasks && fn === OPS.paintImageMaskXObject && args[0]) {
+      images.push({ width: args[0].width, height: args[0].height, mask: true });
+    }
+  });
+
+  return images;
+};
+
+// Real font name for a text item's fontName (embedded subsets look like "ABCDEF+Calibri")
+// Only resolved once the page's operator list has been loaded (and its font callbacks have run)
+const getFontName = (page, fontName) => {
+  if (page.commonObjs.isResolved(fontName)) {
+    const font = page.commonObjs.get(fontName);
+    if (font && font.name) {
+      return font.name;
+    }
+  }
+  return fontName;
+};
+
+// ---------- PNG encoding (grayscale, for OCR) ----------
+
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const toGrayscale = ({ width, height, kind, data }) => {
+  const gray = Buffer.alloc(width * height);
+
+  if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+    // Rows are padded to whole bytes; a set bit is white
+    const rowBytes = Math.ceil(width / 8);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const bit = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+        gray[y * width + x] = bit ? 255 : 0;
+      }
+    }
+    return gray;
+  }
+
+  const channels = kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+  for (let i = 0; i < width * height; i += 1) {
+    const offset = i * channels;
+    gray[i] = Math.round(0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]);
+  }
+  return gray;
+};
+
+const imageToPng = (image) => {
+  const { width, height } = image;
+  const gray = toGrayscale(image);
+  const rows = Buffer.alloc((width + 1) * height);
+
+  for (let y = 0; y < height; y += 1) {
+    rows[y * (width + 1)] = 0; // filter: none
+    gray.copy(rows, y * (width + 1) + 1, y * width, (y + 1) * width);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // grayscale
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+module.exports = {
+  loadPdfDocument,
+  getPageImages,
+  getFontName,
+  imageToPng
+};
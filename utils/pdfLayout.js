@@ -0,0 +1,352 @@
+const { loadPdfDocument, getPageImages, getFontName } = require('./pdfDocument');
+
+// PDF layout risk analysis from page geometry
+// Finds the layouts ATS parsers mangle: multiple columns, tables, text in headers/footers,
+// images and icons, unusual or icon fonts, and text boxes placed out of reading order
+
+const MAX_LAYOUT_PAGES = 5;
+
+// Severity -> structure score penalty
+const SEVERITY_POINTS = { high: -20, medium: -10, low: -5 };
+
+// Fonts every ATS and text extractor handles well (compared without spaces / case)
+const SAFE_FONTS = [
+  'arial', 'helvetica', 'timesnewroman', 'times', 'calibri', 'cambria', 'georgia', 'garamond', 'ebgaramond',
+  'verdana', 'tahoma', 'trebuchetms', 'bookantiqua', 'palatino', 'palatinolinotype', 'centurygothic',
+  'courier', 'couriernew', 'segoeui', 'gillsans', 'gillsansmt', 'liberationsans', 'liberationserif',
+  'dejavusans', 'dejavuserif', 'opensans', 'roboto', 'sourcesanspro', 'helveticaneue', 'aptos', 'didot', 'constantia'
+];
+const ICON_FONT_REGEX = /wingdings|webdings|symbol|fontawesome|icomoon|materialicons|materialsymbols|dingbats|glyphicons|ionicons/i;
+const PRIVATE_USE_REGEX = /[-]/;
+const CONTACT_REGEX = /@|\+?\d[\d\s().-]{7,}\d|linkedin|github\.com|https?:\/\//i;
+
+// Layout constants in PDF points
+const LINE_TOLERANCE = 2;
+const CELL_GAP = 12;
+const GUTTER_MIN_WIDTH = 10;
+// Column detection bins the page width - 2pt bins on normal pages, and never more than this many
+// bins whatever the MediaBox claims (the upload controls it)
+const MAX_COLUMN_BINS = 500;
+const HEADER_FOOTER_BAND = 0.06;
+const ICON_MAX_SIDE = 64;
+
+// "ABCDEF+Calibri-Bold" -> "calibri"
+const fontFamily = (name) => {
+  return String(name)
+    .replace(/^[A-Z]{6}\+/, '')
+    .replace(/[-,](bold|italic|oblique|regular|light|medium|semibold|black|roman|book|condensed|narrow)+.*$/i, '')
+    .replace(/(MT|PS|PSMT)$/, '')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+};
+
+const toItems = (textContent, view) => {
+  return textContent.items
+    .filter(item => item.str && item.str.trim())
+    .map((item, order) => {
+      const [a, b, c, d, x, y] = item.transform;
+      const fontSize = Math.hypot(c, d) || item.height || 10;
+      return {
+        text: item.str,
+        x: x - view[0],
+        y: y - view[1],
+        width: item.width,
+        fontSize,
+        fontName: item.fontName,
+        rotated: Math.abs(b) > 0.01 || Math.abs(c) > 0.01 || a < 0,
+        order
+      };
+    });
+};
+
+// Items sharing a baseline, top of the page first
+const groupLines = (items) => {
+  const lines = [];
+
+  [...items]
+    .filter(item => !item.rotated)
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+    .forEach((item) => {
+      const line = lines.find(candidate => Math.abs(candidate.y - item.y) <= LINE_TOLERANCE);
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.y, items: [item] });
+      }
+    });
+
+  lines.forEach((line) => {
+    line.items.sort((a, b) => a.x - b.x);
+    line.cells = [];
+    line.items.forEach((item) => {
+      const last = line.cells[line.cells.length - 1];
+      if (last && item.x - (last.x + last.width) < CELL_GAP) {
+        last.width = item.x + item.width - last.x;
+        last.text += ` ${item.text}`;
+      } else {
+        line.cells.push({ x: item.x, width: item.width, text: item.text });
+      }
+    });
+  });
+
+  return lines;
+};
+
+// A vertical gutter that (almost) no line crosses, with text on both sides of it
+const detectColumns = (lines, pageWidth) => {
+  if (!Number.isFinite(pageWidth) || pageWidth <= 0) {
+    return null;
+  }
+
+  const binSize = Math.max(2, pageWidth / MAX_COLUMN_BINS);
+  const bins = new Array(Math.ceil(pageWidth / binSize)).fill(0);
+
+  lines.forEach((line) => {
+    const covered = new Set();
+    line.cells.forEach((cell) => {
+      for (let x = Math.max(0, cell.x); x < Math.min(pageWidth, cell.x + cell.width); x += binSize) {
+        covered.add(Math.floor(x / binSize));
+      }
+    });
+    covered.forEach((bin) => { bins[bin] += 1; });
+  });
+
+  const allowedCrossings = Math.max(2, Math.floor(lines.length * 0.1));
+  const start = Math.floor((pageWidth * 0.15) / binSize);
+  const end = Math.ceil((pageWidth * 0.85) / binSize);
+  let best = null;
+
+  for (let bin = start; bin < end; bin += 1) {
+    if (bins[bin] > allowedCrossings) continue;
+
+    let runEnd = bin;
+    while (runEnd + 1 < end && bins[runEnd + 1] <= allowedCrossings) runEnd += 1;
+
+    const gutterStart = bin * binSize;
+    const gutterEnd = (runEnd + 1) * binSize;
+
+    if (gutterEnd - gutterStart >= GUTTER_MIN_WIDTH) {
+      const leftLines = lines.filter(line => line.cells.some(cell => cell.x + cell.width <= gutterStart));
+      const rightLines = lines.filter(line => line.cells.some(cell => cell.x >= gutterEnd));
+
+      const overlap = (a, b) => {
+        if (a.length === 0 || b.length === 0) return 0;
+        const [aTop, aBottom] = [Math.max(...a.map(l => l.y)), Math.min(...a.map(l => l.y))];
+        const [bTop, bBottom] = [Math.max(...b.map(l => l.y)), Math.min(...b.map(l => l.y))];
+        const shared = Math.min(aTop, bTop) - Math.max(aBottom, bBottom);
+        return shared / Math.max(1, Math.min(aTop - aBottom, bTop - bBottom));
+      };
+
+      const balanced = Math.min(leftLines.length, rightLines.length);
+      if (balanced >= 4 && overlap(leftLines, rightLines) >= 0.5 && (!best || balanced > best.balanced)) {
+        best = { gutterStart, gutterEnd, balanced, leftLines: leftLines.length, rightLines: rightLines.length };
+      }
+    }
+
+    bin = runEnd;
+  }
+
+  return best;
+};
+
+// Runs of 3+ rows with 3+ cells whose left edges line up
+const detectTables = (lines) => {
+  const aligned = (a, b) => a.cells.filter(cell => b.cells.some(other => Math.abs(other.x - cell.x) <= 4)).length >= 3;
+  const tables = [];
+  let current = [];
+
+  const close = () => {
+    if (current.length >= 3) {
+      tables.push({
+        rows: current.length,
+        columns: Math.max(...current.map(line => line.cells.length)),
+        top: Math.round(current[0].y),
+        sample: current[0].cells.map(cell => cell.text.trim()).join(' | ')
+      });
+    }
+    current = [];
+  };
+
+  lines.forEach((line) => {
+    if (line.cells.length < 3) {
+      close();
+      return;
+    }
+    const previous = current[current.length - 1];
+    if (previous && !aligned(previous, line)) {
+      close();
+    }
+    current.push(line);
+  });
+  close();
+
+  return tables;
+};
+
+const finding = (type, severity, message, suggestion, details) => ({
+  type,
+  severity,
+  points: SEVERITY_POINTS[severity],
+  message,
+  suggestion,
+  ...details
+});
+
+// Per-page observations merged into document-level findings
+const buildFindings = (pages) => {
+  const findings = [];
+  const pagesWith = key => pages.filter(page => page[key]).map(page => page.page);
+
+  const columnPages = pagesWith('columns');
+  if (columnPages.length > 0) {
+    findings.push(finding('multiColumn', 'high',
+      'Multi-column layout detected - ATS parsers read across columns and scramble the content',
+      'Use a single-column layout; move sidebar content (skills, contact, education) into the main column',
+      { pages: columnPages }));
+  }
+
+  const tables = pages.flatMap(page => page.tables.map(table => ({ page: page.page, ...table })));
+  if (tables.length > 0) {
+    findings.push(finding('table', 'high',
+      `${tables.length} table(s) detected - table cells are often read out of order or skipped`,
+      'Replace tables with plain lines of text, e.g. "Node.js - 6 years"',
+      { pages: [...new Set(tables.map(table => table.page))], tables }));
+  }
+
+  const headerFooter = pages.flatMap(page => page.headerFooterText.map(text => ({ page: page.page, text })));
+  if (headerFooter.length > 0) {
+    const hasContact = headerFooter.some(item => CONTACT_REGEX.test(item.text));
+    findings.push(finding('headerFooter', hasContact ? 'high' : 'low',
+      hasContact
+        ? 'Contact details are in the page header/footer area, which many ATS ignore'
+        : 'Text found in the page header/footer area, which many ATS ignore',
+      hasContact
+        ? 'Move your name, email and phone number into the body of the document'
+        : 'Keep important content out of headers and footers',
+      { pages: [...new Set(headerFooter.map(item => item.page))], text: headerFooter.map(item => item.text).slice(0, 5) }));
+  }
+
+  const pictures = pages.reduce((sum, page) => sum + page.pictures, 0);
+  if (pictures > 0) {
+    findings.push(finding('images', 'medium',
+      `${pictures} image(s) or graphic(s) found - ATS cannot read text or charts inside images`,
+      'Remove photos, logos and skill charts; describe skills in text instead',
+      { pages: pagesWith('pictures'), count: pictures }));
+  }
+
+  const icons = pages.reduce((sum, page) => sum + page.icons, 0);
+  if (icons > 0) {
+    findings.push(finding('icons', 'low',
+      `${icons} small icon(s) found - icons are dropped, so labels they stand for are lost`,
+      'Replace icons (phone, email, location) with text labels',
+      { pages: pagesWith('icons'), count: icons }));
+  }
+
+  const fonts = new Map();
+  pages.forEach(page => page.fonts.forEach(font => fonts.set(font, fontFamily(font))));
+  const iconFonts = [...fonts.keys()].filter(font => ICON_FONT_REGEX.test(font.replace(/\s+/g, '')));
+  const privateUseGlyphs = pages.some(page => page.privateUseGlyphs);
+  const unusualFonts = [...fonts.entries()]
+    .filter(([font, family]) => !iconFonts.includes(font) && !SAFE_FONTS.includes(family) && !/^g_d\d+_f\d+$/.test(font))
+    .map(([font]) => font.replace(/^[A-Z]{6}\+/, ''));
+
+  if (iconFonts.length > 0 || privateUseGlyphs) {
+    findings.push(finding('iconFonts', 'medium',
+      'Icon or symbol fonts found - their glyphs turn into garbage characters when the text is extracted',
+      'Remove symbol-font bullets and icons; use plain hyphens or standard bullets',
+      { fonts: iconFonts.map(font => font.replace(/^[A-Z]{6}\+/, '')) }));
+  }
+  if (unusualFonts.length > 0) {
+    findings.push(finding('nonStandardFonts', 'low',
+      `Non-standard font(s): ${[...new Set(unusualFonts)].join(', ')}`,
+      'Use a standard font such as Arial, Calibri, Garamond or Times New Roman',
+      { fonts: [...new Set(unusualFonts)] }));
+  }
+
+  const textBoxPages = pages.filter(page => page.outOfOrderBlocks > 0 || page.rotatedText > 0);
+  if (textBoxPages.length > 0) {
+    findings.push(finding('textBoxes', 'medium',
+      'Text boxes or rotated text detected - this text sits outside the normal reading order',
+      'Move text out of text boxes into the regular document flow and avoid rotated text',
+      {
+        pages: textBoxPages.map(page => page.page),
+        outOfOrderBlocks: textBoxPages.reduce((sum, page) => sum + page.outOfOrderBlocks, 0),
+        rotatedText: textBoxPages.reduce((sum, page) => sum + page.rotatedText, 0)
+      }));
+  }
+
+  return findings;
+};
+
+const analyzePage = async (page, pageNumber) => {
+  const view = page.view;
+  const width = view[2] - view[0];
+  const height = view[3] - view[1];
+
+  // The operator list resolves fonts and images, so load it before reading font names
+  const operatorList = await page.getOperatorList();
+  // Fonts are registered by timer callbacks queued while the operator list was built
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const textContent = await page.getTextContent();
+  const items = toItems(textContent, view);
+  const lines = groupLines(items);
+
+  const columns = detectColumns(lines, width);
+  const tables = detectTables(lines);
+
+  const band = height * HEADER_FOOTER_BAND;
+  const headerFooterText = lines
+    .filter(line => line.y > height - band || line.y < band)
+    .map(line => line.cells.map(cell => cell.text.trim()).join(' '));
+
+  const images = await getPageImages(page, { operatorList, includeMasks: true });
+  const icons = images.filter(image => Math.max(image.width, image.height) <= ICON_MAX_SIDE).length;
+
+  // Content-stream order jumping back up the page means a separately placed block;
+  // one jump per extra column is expected
+  let upwardJumps = 0;
+  items.filter(item => !item.rotated).forEach((item, index, list) => {
+    const previous = list[index - 1];
+    if (previous && item.y - previous.y > Math.max(item.fontSize, previous.fontSize) * 2) {
+      upwardJumps += 1;
+    }
+  });
+
+  return {
+    page: pageNumber,
+    columns,
+    tables,
+    headerFooterText,
+    pictures: images.length - icons,
+    icons,
+    fonts: [...new Set(items.map(item => getFontName(page, item.fontName)))],
+    privateUseGlyphs: items.some(item => PRIVATE_USE_REGEX.test(item.text)),
+    rotatedText: items.filter(item => item.rotated).length,
+    outOfOrderBlocks: Math.max(0, upwardJumps - (columns ? 1 : 0))
+  };
+};
+
+// Returns { analyzed, pages, findings } - findings feed the structure score and suggestions
+const analyzePdfLayout = async (buffer) => {
+  const doc = await loadPdfDocument(buffer);
+  const pages = [];
+
+  try {
+    for (let pageNumber = 1; pageNumber <= Math.min(doc.numPages, MAX_LAYOUT_PAGES); pageNumber += 1) {
+      pages.push(await analyzePage(await doc.getPage(pageNumber), pageNumber));
+    }
+
+    return {
+      analyzed: true,
+      pages: doc.numPages,
+      pagesAnalyzed: pages.length,
+      findings: buildFindings(pages)
+    };
+  } finally {
+    doc.destroy();
+  }
+};
+
+module.exports = {
+  analyzePdfLayout
+};
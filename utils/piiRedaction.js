@@ -0,0 +1,139 @@
+const { extractSections } = require('./resumeParser');
+
+// PII masking for stored reports - scoring always runs on the original text,
+// only what is written to storage is redacted
+// REDACT_PII=false keeps stored text as-is
+
+const isRedactionEnabled = () => process.env.REDACT_PII !== 'false';
+
+// Applied in order - URLs before emails so "mailto:" links and profile URLs are masked whole
+const PII_PATTERNS = [
+  { type: 'dateOfBirth', regex: /\b(date of birth|d\.?o\.?b\.?|born on)(\s*[:-]?\s*)[^\n]+/gi, replace: '$1$2[DATE_OF_BIRTH]' },
+  { type: 'url', regex: /\b(?:https?:\/\/|www\.)\S+|\b(?:linkedin\.com|github\.com|gitlab\.com|twitter\.com|x\.com|behance\.net|dribbble\.com)\/\S+/gi, replace: '[URL]' },
+  { type: 'email', regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, replace: '[EMAIL]' },
+  // SSN and Aadhaar style numbers - before phones, which would match them too
+  { type: 'idNumber', regex: /\b\d{3}-\d{2}-\d{4}\b|\b\d{4} \d{4} \d{4}\b/g, replace: '[ID_NUMBER]' },
+  {
+    type: 'phone',
+    regex: /\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d[\d\s.-]{6,14}\d|\(\d{3}\)\s?\d{3}[\s.-]\d{4}\b|\b\d{3}[.-]\d{3}[.-]\d{4}\b|\b\d{5}[\s-]\d{5}\b|\b\d{10}\b/g,
+    replace: '[PHONE]'
+  },
+  {
+    type: 'address',
+    regex: /\b\d{1,6}\s+(?:[A-Z][\w'.-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Nagar|Marg)\b\.?(?:,?\s*(?:Apt|Apartment|Suite|Unit|Flat|#)\.?\s*[\w-]+)?/g,
+    replace: '[ADDRESS]'
+  },
+  // "Springfield, IL 62704" - city, state and ZIP code
+  { type: 'address', regex: /\b[A-Z][a-zA-Z]+(?: [A-Z][a-zA-Z]+)*,\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/g, replace: '[ADDRESS]' }
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Number of lines at the top of the contact block searched for the candidate's name
+const NAME_SEARCH_LINES = 5;
+
+// Headline lines ("Senior Software Engineer") are capitalized like names
+const NOT_A_NAME_REGEX = /\b(resume|curriculum|vitae|cv|engineer|developer|manager|analyst|designer|consultant|specialist|scientist|architect|director|lead|intern|officer|administrator|executive|summary|profile)\b/i;
+
+const looksLikeName = (line) => {
+  const words = line.split(/\s+/);
+  return line.length <= 60 &&
+    !NOT_A_NAME_REGEX.test(line) &&
+    words.length >= 2 && words.length <= 4 &&
+    words.every(word => /^[A-Z][A-Za-z'.-]*$/.test(word));
+};
+
+// The candidate's name - the first name-like line at the top of the contact block
+const findCandidateName = (resumeText) => {
+  const sections = extractSections(resumeText);
+  const top = (sections.contact || resumeText).split('\n').map(line => line.trim()).filter(Boolean);
+  return top.slice(0, NAME_SEARCH_LINES).find(looksLikeName) || null;
+};
+
+// Masks PII in one string - counts is updated in place, names are masked as [NAME]
+const redactText = (text, counts, names = []) => {
+  if (!text) {
+    return text;
+  }
+
+  let redacted = String(text);
+
+  PII_PATTERNS.forEach(({ type, regex, replace }) => {
+    redacted = redacted.replace(regex, (...match) => {
+      counts[type] = (counts[type] || 0) + 1;
+      return replace.replace(/\$(\d)/g, (_, group) => match[Number(group)] || '');
+    });
+  });
+
+  // Full name first, then its parts (a surname on its own still identifies the candidate)
+  // Case-sensitive, so a name that is also a word ("Grant", "Will") only matches when capitalized
+  names.forEach((name) => {
+    const regex = new RegExp(`\\b${escapeRegex(name)}\\b`, 'g');
+    redacted = redacted.replace(regex, () => {
+      counts.name = (counts.name || 0) + 1;
+      return '[NAME]';
+    });
+  });
+
+  return redacted;
+};
+
+const namesToRedact = (resumeText) => {
+  const fullName = findCandidateName(resumeText);
+  if (!fullName) {
+    return [];
+  }
+  const parts = fullName.split(/\s+/).filter(part => part.replace(/\W/g, '').length > 2);
+  return [fullName, ...parts].flatMap(name => [name, name.toUpperCase()]);
+};
+
+// Copy of a report ready for storage - resume, job description, layout snippets, writing
+// findings and suggestion text are masked, and report.pii records what was found
+const redactReport = (report) => {
+  if (!isRedactionEnabled()) {
+    return { ...report, pii: { redacted: false } };
+  }
+
+  const counts = {};
+  const names = namesToRedact(report.resumeText || '');
+  const redact = (text) => redactText(text, counts, names);
+
+  const layout = report.layout && {
+    ...report.layout,
+    findings: report.layout.findings.map(finding => (finding.text ? { ...finding, text: finding.text.map(redact) } : finding))
+  };
+
+  // Writing findings quote the resume line they were found on
+  const readability = report.evidence && report.evidence.readability;
+  const evidence = readability && readability.findings
+    ? {
+      ...report.evidence,
+      readability: {
+        ...readability,
+        findings: readability.findings.map(finding => ({ ...finding, text: redact(finding.text), message: redact(finding.message) }))
+      }
+    }
+    : report.evidence;
+
+  const suggestions = (report.suggestions || []).map(suggestion => ({
+    ...suggestion,
+    message: redact(suggestion.message),
+    ...(suggestion.before ? { before: redact(suggestion.before) } : {}),
+    ...(suggestion.after ? { after: redact(suggestion.after) } : {})
+  }));
+
+  return {
+    ...report,
+    resumeText: redact(report.resumeText),
+    jobDescription: redact(report.jobDescription),
+    evidence,
+    layout,
+    suggestions,
+    pii: { redacted: true, counts }
+  };
+};
+
+module.exports = {
+  redactText,
+  redactReport
+};
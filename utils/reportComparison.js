@@ -0,0 +1,145 @@
+// Diffs between stored reports of the same resume project, and score trends
+
+const BREAKDOWN_DIMENSIONS = ['keywordMatch', 'semanticMatch', 'formatting', 'readability', 'structure', 'keywordBalance'];
+
+const reportRef = (report) => ({
+  reportId: report._id,
+  project: report.project || null,
+  version: report.version || null,
+  createdAt: report.createdAt,
+  atsScore: report.atsScore
+});
+
+const matchedKeywords = (report) => {
+  const evidence = report.evidence && report.evidence.keywordMatch;
+  return evidence ? evidence.matched.map(item => item.keyword) : [];
+};
+
+const missedKeywords = (report) => {
+  const evidence = report.evidence && report.evidence.keywordMatch;
+  return evidence ? evidence.missed.map(item => item.keyword) : [];
+};
+
+// Suggestion messages embed counts ("Your resume has 250 words"), so numbers are
+// ignored when deciding whether two suggestions are the same advice
+const suggestionKey = (suggestion) => {
+  if (suggestion.before) {
+    return `${suggestion.category}:${suggestion.before}`;
+  }
+  return `${suggestion.category}:${(suggestion.message || '').replace(/\d+(\.\d+)?/g, '#')}`;
+};
+
+const compareBreakdowns = (base, target) => {
+  const changes = {};
+
+  BREAKDOWN_DIMENSIONS.forEach((dimension) => {
+    const before = base.breakdown ? base.breakdown[dimension] : undefined;
+    const after = target.breakdown ? target.breakdown[dimension] : undefined;
+
+    if (before === undefined && after === undefined) {
+      return;
+    }
+
+    const hasBoth = typeof before === 'number' && typeof after === 'number';
+    changes[dimension] = {
+      before: before ?? null,
+      after: after ?? null,
+      change: hasBoth ? after - before : null
+    };
+  });
+
+  return changes;
+};
+
+const compareKeywords = (base, target) => {
+  const baseMatched = new Set(matchedKeywords(base));
+  const targetMatched = new Set(matchedKeywords(target));
+
+  return {
+    newlyMatched: [...targetMatched].filter(keyword => !baseMatched.has(keyword)),
+    lost: [...baseMatched].filter(keyword => !targetMatched.has(keyword)),
+    stillMissing: missedKeywords(target).filter(keyword => !targetMatched.has(keyword))
+  };
+};
+
+const compareSuggestions = (base, target) => {
+  const baseSuggestions = base.suggestions || [];
+  const targetSuggestions = target.suggestions || [];
+  const baseKeys = new Set(baseSuggestions.map(suggestionKey));
+  const targetKeys = new Set(targetSuggestions.map(suggestionKey));
+
+  return {
+    resolved: baseSuggestions.filter(suggestion => !targetKeys.has(suggestionKey(suggestion))),
+    open: targetSuggestions.filter(suggestion => baseKeys.has(suggestionKey(suggestion))),
+    new: targetSuggestions.filter(suggestion => !baseKeys.has(suggestionKey(suggestion)))
+  };
+};
+
+// Diff from an older (base) report to a newer (target) one
+const compareReports = (base, target) => {
+  return {
+    base: reportRef(base),
+    target: reportRef(target),
+    sameProject: Boolean(base.project) && base.project === target.project,
+    scoreChange: target.atsScore - base.atsScore,
+    breakdown: compareBreakdowns(base, target),
+    keywords: compareKeywords(base, target),
+    suggestions: compareSuggestions(base, target)
+  };
+};
+
+// Reports in any order -> oldest-first trend with the change from each previous version
+const buildScoreTrend = (reports) => {
+  const ordered = [...reports].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const points = ordered.map((report, index) => ({
+    ...reportRef(report),
+    breakdown: report.breakdown,
+    change: index === 0 ? null : report.atsScore - ordered[index - 1].atsScore
+  }));
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const totalChange = points.length > 1 ? last.atsScore - first.atsScore : 0;
+
+  return {
+    points,
+    totalChange,
+    bestScore: points.length ? Math.max(...points.map(point => point.atsScore)) : null,
+    direction: totalChange > 0 ? 'improving' : totalChange < 0 ? 'declining' : 'flat'
+  };
+};
+
+// Group report summaries into resume projects, most recently updated first
+const summarizeProjects = (reports) => {
+  const projects = new Map();
+
+  reports.filter(report => report.project).forEach((report) => {
+    if (!projects.has(report.project)) {
+      projects.set(report.project, []);
+    }
+    projects.get(report.project).push(report);
+  });
+
+  return [...projects.entries()]
+    .map(([project, projectReports]) => {
+      const trend = buildScoreTrend(projectReports);
+      const latest = trend.points[trend.points.length - 1];
+      return {
+        project,
+        versions: projectReports.length,
+        latestReportId: latest.reportId,
+        latestScore: latest.atsScore,
+        bestScore: trend.bestScore,
+        totalChange: trend.totalChange,
+        updatedAt: latest.createdAt
+      };
+    })
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+};
+
+module.exports = {
+  compareReports,
+  buildScoreTrend,
+  summarizeProjects
+};
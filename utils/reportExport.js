@@ -0,0 +1,239 @@
+const PDFDocument = require('pdfkit');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType
+} = require('docx');
+
+// Render a stored report as PDF, DOCX, Markdown or JSON - all generated locally
+
+const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const FORMAT_ALIASES = { md: 'markdown' };
+
+const DIMENSION_LABELS = {
+  keywordMatch: 'Keyword Match',
+  semanticMatch: 'Semantic Match',
+  formatting: 'Formatting & Sections',
+  readability: 'Readability',
+  structure: 'Structure',
+  keywordBalance: 'Keyword Balance'
+};
+
+const resolveFormat = (format) => {
+  const name = String(format || '').toLowerCase();
+  const resolved = FORMAT_ALIASES[name] || name;
+  return EXPORT_FORMATS[resolved] ? resolved : null;
+};
+
+const scoreLabel = (score) => {
+  if (score >= 80) return 'Excellent';
+  if (score >= 65) return 'Good';
+  if (score >= 50) return 'Fair';
+  return 'Needs Work';
+};
+
+// Format-independent view of a report shared by every renderer
+const buildExportModel = (report) => {
+  const keywordEvidence = report.evidence && report.evidence.keywordMatch;
+
+  return {
+    title: 'ATS Resume Report',
+    atsScore: report.atsScore,
+    rating: scoreLabel(report.atsScore),
+    details: [
+      ['Report ID', report._id],
+      ['Generated', new Date(report.createdAt).toISOString().slice(0, 10)],
+      ['Scoring profile', report.profile || 'default'],
+      ['Project', report.project ? `${report.project} (version ${report.version})` : null],
+      ['Text extraction', report.ocr && report.ocr.used ? `OCR (${report.ocr.confidence}% confidence)` : null]
+    ].filter(([, value]) => value),
+    breakdown: Object.entries(DIMENSION_LABELS)
+      .filter(([key]) => report.breakdown && typeof report.breakdown[key] === 'number')
+      .map(([key, label]) => ({ label, score: report.breakdown[key] })),
+    strengths: report.strengths || [],
+    weaknesses: report.weaknesses || [],
+    suggestions: report.suggestions || [],
+    matchedKeywords: keywordEvidence ? keywordEvidence.matched.map(item => item.keyword) : [],
+    missingKeywords: keywordEvidence ? keywordEvidence.missed.map(item => item.keyword) : []
+  };
+};
+
+const suggestionLine = (suggestion) => {
+  const priority = suggestion.priority ? ` (${suggestion.priority} priority)` : '';
+  return `${suggestion.category}${priority}: ${suggestion.message}`;
+};
+
+const renderMarkdown = (model) => {
+  const lines = [`# ${model.title}`, ''];
+
+  model.details.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push('', `## Overall Score: ${model.atsScore}/100 (${model.rating})`, '');
+
+  if (model.breakdown.length > 0) {
+    lines.push('| Dimension | Score |', '| --- | --- |');
+    model.breakdown.forEach(({ label, score }) => lines.push(`| ${label} | ${score}/100 |`));
+    lines.push('');
+  }
+
+  const list = (heading, items) => {
+    if (items.length === 0) return;
+    lines.push(`## ${heading}`, '');
+    items.forEach(item => lines.push(`- ${item}`));
+    lines.push('');
+  };
+
+  list('Strengths', model.strengths);
+  list('Weaknesses', model.weaknesses);
+
+  if (model.suggestions.length > 0) {
+    lines.push('## Suggestions', '');
+    model.suggestions.forEach((suggestion, index) => {
+      lines.push(`${index + 1}. **${suggestion.category}**${suggestion.priority ? ` (${suggestion.priority})` : ''}: ${suggestion.message}`);
+      if (suggestion.before && suggestion.after) {
+        lines.push(`   - Before: ${suggestion.before}`, `   - After: ${suggestion.after}`);
+      }
+    });
+    lines.push('');
+  }
+
+  list('Matched Keywords', model.matchedKeywords);
+  list('Keyword Gaps', model.missingKeywords);
+
+  return lines.join('\n');
+};
+
+const renderPdf = (model) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: model.title } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const heading = (text) => {
+    doc.moveDown(0.8).font('Helvetica-Bold').fontSize(14).text(text).moveDown(0.3);
+    doc.font('Helvetica').fontSize(11);
+  };
+
+  const list = (title, items) => {
+    if (items.length === 0) return;
+    heading(title);
+    doc.list(items, { bulletRadius: 2, paragraphGap: 3 });
+  };
+
+  doc.font('Helvetica-Bold').fontSize(20).text(model.title);
+  doc.font('Helvetica').fontSize(10).fillColor('#555555');
+  model.details.forEach(([label, value]) => doc.text(`${label}: ${value}`));
+  doc.fillColor('#000000');
+
+  heading(`Overall Score: ${model.atsScore}/100 (${model.rating})`);
+  model.breakdown.forEach(({ label, score }) => doc.text(`${label}: ${score}/100`));
+
+  list('Strengths', model.strengths);
+  list('Weaknesses', model.weaknesses);
+
+  if (model.suggestions.length > 0) {
+    heading('Suggestions');
+    model.suggestions.forEach((suggestion, index) => {
+      doc.text(`${index + 1}. ${suggestionLine(suggestion)}`, { paragraphGap: 2 });
+      if (suggestion.before && suggestion.after) {
+        doc.fillColor('#555555')
+          .text(`Before: ${suggestion.before}`, { indent: 15 })
+          .text(`After: ${suggestion.after}`, { indent: 15 })
+          .fillColor('#000000');
+      }
+      doc.moveDown(0.3);
+    });
+  }
+
+  list('Matched Keywords', model.matchedKeywords);
+  list('Keyword Gaps', model.missingKeywords);
+
+  doc.end();
+});
+
+const renderDocx = (model) => {
+  const children = [];
+  const heading = (text, level = HeadingLevel.HEADING_2) => children.push(new Paragraph({ text, heading: level }));
+  const bullets = (items) => items.forEach(item => children.push(new Paragraph({ text: item, bullet: { level: 0 } })));
+
+  heading(model.title, HeadingLevel.TITLE);
+  model.details.forEach(([label, value]) => {
+    children.push(new Paragraph({ children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))] }));
+  });
+
+  heading(`Overall Score: ${model.atsScore}/100 (${model.rating})`);
+  if (model.breakdown.length > 0) {
+    const cell = (text, bold = false) => new TableCell({ children: [new Paragraph({ children: [new TextRun({ text, bold })] })] });
+    children.push(new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [
+        new TableRow({ children: [cell('Dimension', true), cell('Score', true)] }),
+        ...model.breakdown.map(({ label, score }) => new TableRow({ children: [cell(label), cell(`${score}/100`)] }))
+      ]
+    }));
+  }
+
+  [['Strengths', model.strengths], ['Weaknesses', model.weaknesses]].forEach(([title, items]) => {
+    if (items.length === 0) return;
+    heading(title);
+    bullets(items);
+  });
+
+  if (model.suggestions.length > 0) {
+    heading('Suggestions');
+    model.suggestions.forEach((suggestion) => {
+      children.push(new Paragraph({ text: suggestionLine(suggestion), bullet: { level: 0 } }));
+      if (suggestion.before && suggestion.after) {
+        children.push(new Paragraph({ text: `Before: ${suggestion.before}`, bullet: { level: 1 } }));
+        children.push(new Paragraph({ text: `After: ${suggestion.after}`, bullet: { level: 1 } }));
+      }
+    });
+  }
+
+  [['Matched Keywords', model.matchedKeywords], ['Keyword Gaps', model.missingKeywords]].forEach(([title, items]) => {
+    if (items.length === 0) return;
+    heading(title);
+    children.push(new Paragraph(items.join(', ')));
+  });
+
+  return Packer.toBuffer(new Document({ title: model.title, sections: [{ children }] }));
+};
+
+// Returns { content, contentType, extension } for a supported format
+const exportReport = async (report, format) => {
+  const resolved = resolveFormat(format);
+  if (!resolved) {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+
+  const { contentType, extension } = EXPORT_FORMATS[resolved];
+
+  if (resolved === 'json') {
+    return { content: JSON.stringify(report, null, 2), contentType, extension };
+  }
+
+  const model = buildExportModel(report);
+  const renderers = { markdown: renderMarkdown, pdf: renderPdf, docx: renderDocx };
+  const content = await renderers[resolved](model);
+
+  return { content, contentType, extension };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveFormat,
+  exportReport
+};
@@ -0,0 +1,118 @@
+const { calculateATSScore, generateInsights } = require('./atsScoring');
+const { generateAISuggestions } = require('./aiSuggestions');
+const { calculateSemanticMatch } = require('./semanticMatch');
+const { detectLanguage } = require('./languages');
+
+// Text read by OCR is itself a risk - an ATS may not read the scan at all
+const LOW_OCR_CONFIDENCE = 70;
+
+const addOcrInsights = (ocr, weaknesses, suggestions) => {
+  weaknesses.push(`Resume is a scanned image - text was recovered with OCR (${ocr.confidence}% confidence) and many ATS cannot do this`);
+
+  suggestions.unshift({
+    category: 'Formatting',
+    message: ocr.confidence < LOW_OCR_CONFIDENCE
+      ? `OCR could only read your resume with ${ocr.confidence}% confidence - some scores may be off. Upload a text-based PDF or DOCX exported from your editor`
+      : 'Upload a text-based PDF or DOCX instead of a scanned image so applicant tracking systems can read it',
+    priority: 'high'
+  });
+};
+
+// A resume in another language than the posting is usually screened out before anyone reads it
+const addLanguageInsights = (language, weaknesses, suggestions) => {
+  const { resume, jobDescription } = language;
+  weaknesses.push(`Resume is written in ${resume.name} but the job description is in ${jobDescription.name} - keywords can't match across languages`);
+
+  suggestions.unshift({
+    category: 'Language',
+    message: `Submit a ${jobDescription.name} version of your resume for this role - ATS keyword matching only works within one language`,
+    priority: 'high'
+  });
+};
+
+// Both texts' languages - a mismatch is only reported when both detections had enough text
+const detectLanguages = (resumeText, jobDescription) => {
+  const resume = detectLanguage(resumeText);
+  const jd = detectLanguage(jobDescription);
+
+  return {
+    resume,
+    jobDescription: jd,
+    mismatch: resume.reliable && jd.reliable && resume.code !== jd.code
+  };
+};
+
+// Full analysis pipeline for one resume against one job description
+// options: profile, rewriteBullets, includeSuggestions (default true), ocr and layout (from parseResumeFile)
+// Both texts' languages are detected here and drive the language-specific scoring rules
+// options.onProgress(stage) is called as the analysis enters scoring, insights and suggestions
+const analyzeResume = async (resumeText, jobDescription, options = {}) => {
+  const { profile, rewriteBullets = false, includeSuggestions = true, ocr = null, layout = null, onProgress = () => {} } = options;
+
+  onProgress('scoring');
+  const language = detectLanguages(resumeText, jobDescription);
+  const languageCodes = { resume: language.resume.code, jobDescription: language.jobDescription.code };
+  if (language.resume.code !== 'en' || language.jobDescription.code !== 'en') {
+    console.log('🌐 Languages - resume:', language.resume.name, '| job description:', language.jobDescription.name);
+  }
+
+  console.log('🧠 Calculating semantic match...');
+  const semanticMatch = await calculateSemanticMatch(resumeText, jobDescription);
+
+  console.log('📊 Calculating ATS score...');
+  const { totalScore, breakdown, evidence, weights, experience, skills, requirements } = calculateATSScore(resumeText, jobDescription, { semanticMatch, profile, layout, language: languageCodes });
+
+  onProgress('insights');
+  console.log('💡 Generating insights...');
+  const { strengths, weaknesses } = generateInsights(breakdown, resumeText, jobDescription);
+
+  let suggestions = [];
+  if (includeSuggestions) {
+    onProgress('suggestions');
+    console.log('🤖 Generating AI suggestions...');
+    suggestions = await generateAISuggestions(resumeText, jobDescription, breakdown, {
+      profile,
+      rewriteBullets,
+      layout,
+      language: languageCodes,
+      writing: evidence.readability && evidence.readability.findings
+    });
+  }
+
+  if (ocr && ocr.used) {
+    addOcrInsights(ocr, weaknesses, suggestions);
+  }
+  if (language.mismatch) {
+    addLanguageInsights(language, weaknesses, suggestions);
+  }
+
+  return {
+    atsScore: totalScore,
+    profile,
+    breakdown,
+    evidence,
+    weights,
+    strengths,
+    weaknesses,
+    suggestions,
+    matchedSkills: skills.matched,
+    missingSkills: skills.missing,
+    jobRequirements: requirements,
+    semanticMatches: semanticMatch ? semanticMatch.matches : [],
+    experience: experience.entries,
+    experienceSummary: {
+      totalYears: experience.totalYears,
+      skillYears: experience.skillYears,
+      requirements: experience.requirements
+    },
+    ocr,
+    layout,
+    language,
+    resumeWordCount: resumeText.split(/\s+/).length,
+    analyzedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  analyzeResume
+};
@@ -1,43 +1,254 @@
+const path = require('path');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const { rtfToText, htmlToText, odtToText, isJsonResume, jsonResumeToText } = require('./textExtractors');
+const { extractWordDocText } = require('./wordDocParser');
+const { matchLanguageHeading } = require('./languages');
+const { ocrPdf } = require('./ocr');
+const { analyzePdfLayout } = require('./pdfLayout');
+const { uploadError, isUploadError, validateUpload } = require('./uploadValidation');
 
-const parseResume = async (file) => {
+// Supported resume formats - detected by file extension first, then by mimetype
+const RESUME_FORMATS = {
+  pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+  docx: { extensions: ['.docx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  doc: { extensions: ['.doc'], mimeTypes: ['application/msword'] },
+  txt: { extensions: ['.txt', '.text'], mimeTypes: ['text/plain'] },
+  rtf: { extensions: ['.rtf'], mimeTypes: ['application/rtf', 'text/rtf'] },
+  odt: { extensions: ['.odt'], mimeTypes: ['application/vnd.oasis.opendocument.text'] },
+  html: { extensions: ['.html', '.htm'], mimeTypes: ['text/html', 'application/xhtml+xml'] },
+  json: { extensions: ['.json'], mimeTypes: ['application/json'] }
+};
+
+const SUPPORTED_EXTENSIONS = Object.values(RESUME_FORMATS).flatMap(format => format.extensions);
+const SUPPORTED_FORMATS_LABEL = 'PDF, DOCX, DOC, TXT, RTF, ODT, HTML or JSON Resume';
+
+const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const byExtension = Object.keys(RESUME_FORMATS).find(name => RESUME_FORMATS[name].extensions.includes(extension));
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const mimetype = (file.mimetype || '').split(';')[0].trim().toLowerCase();
+  return Object.keys(RESUME_FORMATS).find(name => RESUME_FORMATS[name].mimeTypes.includes(mimetype)) || null;
+};
+
+const isSupportedFile = (file) => detectFormat(file) !== null;
+
+// Declared format (extension/mimetype) checked against the file content - returns the format or throws an upload error
+const validateResumeFile = (file) => {
+  const format = detectFormat(file);
+
+  if (!format) {
+    throw uploadError('UNSUPPORTED_FILE_TYPE', `Unsupported file format. Please upload ${SUPPORTED_FORMATS_LABEL}.`);
+  }
+  validateUpload(file, format);
+  return format;
+};
+
+// Parsers run in-process and can't be interrupted, but the request fails instead of hanging
+const PARSE_TIMEOUT_MS = parseInt(process.env.PARSE_TIMEOUT_MS, 10) || 30000;
+
+const withParseTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(uploadError('PARSE_TIMEOUT', `Reading the file took longer than ${PARSE_TIMEOUT_MS / 1000}s`)), PARSE_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Canonical mimetype for a file name, e.g. for entries extracted from a zip
+const mimeTypeForFile = (fileName) => {
+  const format = detectFormat({ originalname: fileName });
+  return format ? RESUME_FORMATS[format].mimeTypes[0] : null;
+};
+
+const decodeTextBuffer = (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+// Uploaded .json files must follow the JSON Resume schema
+const jsonToText = (raw) => {
+  let parsed;
   try {
-    const fileType = file.mimetype;
-    let text = '';
-
-    if (fileType === 'application/pdf') {
-      const dataBuffer = file.buffer;
-      // pdf-parse takes a buffer directly
-      const data = await pdfParse(dataBuffer);
-      text = data.text;
-    } else if (
-      fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-      fileType === 'application/msword'
-    ) {
-      const result = await mammoth.extractRawText({ buffer: file.buffer });
-      text = result.value;
-    } else {
-      throw new Error('Unsupported file format. Please upload PDF or DOCX.');
-    }
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
 
-    // Clean the text
-    text = text
-      .replace(/\s+/g, ' ')
-      .replace(/\n+/g, '\n')
-      .trim();
+  if (!isJsonResume(parsed)) {
+    throw new Error('JSON file is not a JSON Resume document (expected basics, work, education or skills)');
+  }
+  return jsonResumeToText(parsed);
+};
+
+// Plenty of ".doc" files are really DOCX or RTF saved under the old extension
+const extractDocText = async (buffer) => {
+  if (buffer.subarray(0, 2).toString('latin1') === 'PK') {
+    return (await mammoth.extractRawText({ buffer })).value;
+  }
+  if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') {
+    return rtfToText(buffer.toString('latin1'));
+  }
+  return extractWordDocText(buffer);
+};
+
+// PDFs averaging less text than this per page are checked for scanned (image-only) pages
+const MIN_TEXT_PER_PAGE = 200;
+
+// Layout problems only matter for a real text layer - a failed analysis never fails the upload
+const analyzeLayout = async (buffer) => {
+  try {
+    return await withParseTimeout(analyzePdfLayout(buffer));
+  } catch (error) {
+    console.log('⚠️ Layout analysis failed:', error.message);
+    return null;
+  }
+};
 
-    if (!text || text.length < 50) {
-      throw new Error('Could not extract enough text. Please ensure the PDF contains readable text, not scanned images.');
+// pdf.js rejects password-protected files with a PasswordException
+const readPdfText = async (buffer) => {
+  try {
+    return await withParseTimeout(pdfParse(buffer));
+  } catch (error) {
+    if (error && error.name === 'PasswordException') {
+      throw uploadError('PDF_ENCRYPTED');
     }
+    throw error;
+  }
+};
+
+const extractPdfText = async (buffer) => {
+  const data = await readPdfText(buffer);
+
+  if (data.text.replace(/\s/g, '').length >= MIN_TEXT_PER_PAGE * data.numpages) {
+    return { text: data.text, ocr: null, layout: await analyzeLayout(buffer) };
+  }
+
+  console.log('🔎 Little or no text layer - trying OCR...');
+  const result = await ocrPdf(buffer);
+
+  if (!result) {
+    return { text: data.text, ocr: null, layout: await analyzeLayout(buffer) };
+  }
 
-    return text;
+  console.log(`✅ OCR read ${result.ocr.pages.length} page(s), confidence ${result.ocr.confidence}%`);
+  return result;
+};
+
+// Each extractor resolves to the raw text, or { text, ocr, layout } for PDFs
+const EXTRACTORS = {
+  pdf: extractPdfText,
+  docx: async (buffer) => (await mammoth.extractRawText({ buffer })).value,
+  doc: extractDocText,
+  txt: async (buffer) => decodeTextBuffer(buffer),
+  rtf: async (buffer) => rtfToText(buffer.toString('latin1')),
+  odt: async (buffer) => odtToText(buffer),
+  html: async (buffer) => htmlToText(decodeTextBuffer(buffer)),
+  json: async (buffer) => jsonToText(decodeTextBuffer(buffer))
+};
+
+// Heading variants per section - matched against a whole, normalized line
+const SECTION_HEADINGS = {
+  summary: /^(professional |career |executive )?(summary|profile|objective|overview)$|^(about me|summary of qualifications|career objective|personal statement)$/,
+  experience: /^(professional |work |relevant |industry |career )?(experience|history)$|^(work|employment|career|professional) (history|background)$|^employment$/,
+  education: /^(education|academics?|academic (background|qualifications|history)|educational (background|qualifications)|qualifications|education (and|&) training)$/,
+  skills: /^((technical|core|key|professional|relevant) )?(skills|competencies|expertise)( (and|&) (tools|technologies|abilities))?$|^(tech stack|technologies|tools (and|&) technologies|skill set|skillset|areas of expertise)$/,
+  certifications: /^(certifications?|certificates|licenses?( (and|&) certifications)?|certifications (and|&) licenses|professional certifications|courses (and|&) certifications)$/,
+  projects: /^((personal|academic|key|selected|notable|side) )?projects$/,
+  publications: /^((selected|recent|peer[- ]reviewed) )?(publications|papers|journal articles|conference (papers|proceedings))$|^publications (and|&) (presentations|patents)$/,
+  research: /^research( (experience|interests|projects|background))?$/
+};
+
+// Normalize whitespace while keeping line structure intact
+const normalizeText = (text) => {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const ensureEnoughText = (text) => {
+  if (!text || text.length < 50) {
+    throw uploadError('NO_TEXT_FOUND');
+  }
+  return text;
+};
+
+// Text plus how it was obtained: { text, format, ocr, layout }
+// ocr is null unless a scan was OCR'd, layout is null unless a text-based PDF was analyzed
+const parseResumeFile = async (file) => {
+  try {
+    const format = validateResumeFile(file);
+
+    // OCR of scanned PDFs is bounded by its own page limit and deadline instead (see utils/ocr)
+    const extracted = format === 'pdf'
+      ? await EXTRACTORS.pdf(file.buffer)
+      : await withParseTimeout(EXTRACTORS[format](file.buffer));
+    const { text, ocr = null, layout = null } = typeof extracted === 'string' ? { text: extracted } : extracted;
+
+    // Clean the text (newlines are kept for section detection)
+    return { text: ensureEnoughText(normalizeText(text)), format, ocr, layout };
   } catch (error) {
     console.error('Parse error:', error);
-    throw new Error(`Failed to parse resume: ${error.message}`);
+    throw isUploadError(error) ? error : uploadError('PARSE_FAILED', `Failed to parse resume: ${error.message}`);
+  }
+};
+
+const parseResume = async (file) => (await parseResumeFile(file)).text;
+
+// Pasted JSON that follows the JSON Resume schema is converted, anything else is kept as-is
+const pastedJsonToText = (raw) => {
+  try {
+    const parsed = JSON.parse(raw);
+    return isJsonResume(parsed) ? jsonResumeToText(parsed) : raw;
+  } catch (error) {
+    return raw;
+  }
+};
+
+// Pasted resume text (the resumeText body field) - plain text, HTML or JSON Resume
+// JSON request bodies may send a JSON Resume object instead of a string
+const parseResumeText = (rawText) => {
+  const raw = (rawText && typeof rawText === 'object' ? JSON.stringify(rawText) : String(rawText || '')).trim();
+  let text = raw;
+
+  try {
+    if (raw.startsWith('{')) {
+      text = pastedJsonToText(raw);
+    } else if (/^<(!doctype html|html|body|div|p|h[1-6])\b/i.test(raw)) {
+      text = htmlToText(raw);
+    } else if (raw.startsWith('{\\rtf')) {
+      text = rtfToText(raw);
+    }
+
+    return ensureEnoughText(normalizeText(text));
+  } catch (error) {
+    throw isUploadError(error) ? error : uploadError('PARSE_FAILED', `Failed to parse resume: ${error.message}`);
   }
 };
 
+// Returns the section name if the line looks like a heading, otherwise null
+const detectHeading = (line) => {
+  const cleaned = line
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{M}\p{N})]+$/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!cleaned || cleaned.length > 40 || cleaned.split(' ').length > 5) {
+    return null;
+  }
+
+  const normalized = cleaned.toLowerCase();
+  const section = Object.keys(SECTION_HEADINGS).find(name => SECTION_HEADINGS[name].test(normalized));
+
+  // Headings in the other supported languages ("Experiencia", "Berufserfahrung", "अनुभव")
+  return section || matchLanguageHeading(normalized);
+};
+
 const extractSections = (text) => {
   const sections = {
     contact: '',
@@ -46,32 +257,54 @@ const extractSections = (text) => {
     education: '',
     skills: '',
     certifications: '',
+    projects: '',
+    headings: [],
     hasExperience: false,
     hasEducation: false,
     hasSkills: false
   };
 
-  const lowerText = text.toLowerCase();
+  const lines = normalizeText(text || '').split('\n');
+  const buckets = { contact: [] };
+  let current = 'contact';
 
-  // Simple section detection
-  const experienceMatch = lowerText.match(/experience|work history|employment/i);
-  const educationMatch = lowerText.match(/education|academic|qualification/i);
-  const skillsMatch = lowerText.match(/skills|technical skills|competencies/i);
+  lines.forEach((line, index) => {
+    const section = detectHeading(line);
 
-  if (experienceMatch) {
-    sections.hasExperience = true;
-  }
-  if (educationMatch) {
-    sections.hasEducation = true;
-  }
-  if (skillsMatch) {
-    sections.hasSkills = true;
-  }
+    if (section) {
+      current = section;
+      buckets[current] = buckets[current] || [];
+      sections.headings.push({ section, heading: line, line: index });
+      return;
+    }
+
+    buckets[current].push(line);
+  });
+
+  Object.keys(buckets).forEach((name) => {
+    sections[name] = buckets[name].join('\n').trim();
+  });
+
+  // Fall back to loose keyword detection when no headings were found
+  const lowerText = (text || '').toLowerCase();
+
+  sections.hasExperience = Boolean(sections.experience) || (!sections.headings.length && /experience|work history|employment/.test(lowerText));
+  sections.hasEducation = Boolean(sections.education) || (!sections.headings.length && /education|academic|qualification/.test(lowerText));
+  sections.hasSkills = Boolean(sections.skills) || (!sections.headings.length && /skills|technical skills|competencies/.test(lowerText));
 
   return sections;
 };
 
 module.exports = {
+  SUPPORTED_EXTENSIONS,
+  SUPPORTED_FORMATS_LABEL,
+  detectFormat,
+  isSupportedFile,
+  validateResumeFile,
+  mimeTypeForFile,
   parseResume,
+  parseResumeFile,
+  parseResumeText,
+  detectHeading,
   extractSections
 };
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// Named scoring profiles (weights + thresholds), loaded from JSON config files
+// Every profile is merged on top of default.json, so files only list what they change
+
+const profilesDir = process.env.SCORING_PROFILES_DIR || path.join(__dirname, '../config/profiles');
+const DEFAULT_PROFILE = 'default';
+
+const mergeProfile = (base, overrides) => {
+  const merged = { ...base };
+
+  Object.keys(overrides).forEach((key) => {
+    const value = overrides[key];
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject ? { ...base[key], ...value } : value;
+  });
+
+  return merged;
+};
+
+const loadProfiles = () => {
+  const profiles = new Map();
+  const files = fs.readdirSync(profilesDir).filter(file => file.endsWith('.json'));
+
+  const readProfile = (file) => JSON.parse(fs.readFileSync(path.join(profilesDir, file), 'utf8'));
+  const base = readProfile(`${DEFAULT_PROFILE}.json`);
+  profiles.set(DEFAULT_PROFILE, base);
+
+  files
+    .filter(file => file !== `${DEFAULT_PROFILE}.json`)
+    .forEach((file) => {
+      try {
+        const profile = mergeProfile(base, readProfile(file));
+        profile.name = profile.name === DEFAULT_PROFILE ? path.basename(file, '.json') : profile.name;
+        profiles.set(profile.name, profile);
+      } catch (error) {
+        console.log(`⚠️ Skipping scoring profile ${file}:`, error.message);
+      }
+    });
+
+  return profiles;
+};
+
+const profiles = loadProfiles();
+
+const hasProfile = (name) => profiles.has(name);
+
+// Unknown or empty names resolve to the default profile
+const getProfile = (name) => {
+  return profiles.get(name) || profiles.get(DEFAULT_PROFILE);
+};
+
+const listProfiles = () => {
+  return Array.from(profiles.values()).map(({ name, description }) => ({ name, description }));
+};
+
+module.exports = {
+  DEFAULT_PROFILE,
+  hasProfile,
+  getProfile,
+  listProfiles
+};
@@ -0,0 +1,127 @@
+const { extractSections } = require('./resumeParser');
+const { parseJobDescription } = require('./jobDescriptionParser');
+const { loadPipeline } = require('./localModels');
+
+// Embedding-based semantic match between resume content and JD requirements
+
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+
+const MAX_RESUME_CHUNKS = 80;
+const MAX_REQUIREMENTS = 30;
+const MAX_CHUNK_LENGTH = 300;
+
+// Cosine similarity below LOW earns nothing, above HIGH earns full credit
+const SIMILARITY_LOW = 0.25;
+const SIMILARITY_HIGH = 0.65;
+
+const toChunks = (text) => {
+  return (text || '')
+    .split('\n')
+    .map(line => line.replace(/^[-•*▪●◦■►>–]\s*/, '').trim())
+    .filter(line => line.split(/\s+/).length >= 3)
+    .map(line => line.substring(0, MAX_CHUNK_LENGTH));
+};
+
+// Resume lines that describe what the candidate has done or knows
+const getResumeChunks = (resumeText) => {
+  const sections = extractSections(resumeText);
+  const chunks = [
+    ...toChunks(sections.summary),
+    ...toChunks(sections.experience),
+    ...toChunks(sections.projects),
+    ...toChunks(sections.skills),
+    ...toChunks(sections.certifications)
+  ];
+
+  // No recognizable sections - fall back to every line of the resume
+  return (chunks.length > 0 ? chunks : toChunks(resumeText)).slice(0, MAX_RESUME_CHUNKS);
+};
+
+const getRequirementChunks = (jobDescription) => {
+  const { required, preferred } = parseJobDescription(jobDescription);
+  const items = [
+    ...required.items.map(text => ({ text, importance: 'required' })),
+    ...preferred.items.map(text => ({ text, importance: 'preferred' }))
+  ];
+
+  const chunks = items.length > 0
+    ? items
+    : toChunks(jobDescription).map(text => ({ text, importance: 'required' }));
+
+  return chunks
+    .map(item => ({ ...item, text: item.text.substring(0, MAX_CHUNK_LENGTH) }))
+    .slice(0, MAX_REQUIREMENTS);
+};
+
+const embed = async (extractor, texts) => {
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  return output.tolist();
+};
+
+// Vectors are normalized, so the dot product is the cosine similarity
+const dot = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+const similarityToScore = (similarity) => {
+  const scaled = (similarity - SIMILARITY_LOW) / (SIMILARITY_HIGH - SIMILARITY_LOW);
+  return Math.max(0, Math.min(1, scaled)) * 100;
+};
+
+// Returns null when no embedding model is available locally
+const calculateSemanticMatch = async (resumeText, jobDescription) => {
+  try {
+    const extractor = await loadPipeline('feature-extraction', EMBEDDING_MODEL);
+    if (!extractor) {
+      return null;
+    }
+
+    const resumeChunks = getResumeChunks(resumeText);
+    const requirements = getRequirementChunks(jobDescription);
+
+    if (resumeChunks.length === 0 || requirements.length === 0) {
+      return null;
+    }
+
+    const resumeVectors = await embed(extractor, resumeChunks);
+    const requirementVectors = await embed(extractor, requirements.map(item => item.text));
+
+    let weightedScore = 0;
+    let totalWeight = 0;
+
+    const matches = requirements.map((requirement, index) => {
+      let bestIndex = 0;
+      let bestSimilarity = -1;
+
+      resumeVectors.forEach((vector, chunkIndex) => {
+        const similarity = dot(requirementVectors[index], vector);
+        if (similarity > bestSimilarity) {
+          bestSimilarity = similarity;
+          bestIndex = chunkIndex;
+        }
+      });
+
+      const weight = requirement.importance === 'required' ? 2 : 1;
+      weightedScore += similarityToScore(bestSimilarity) * weight;
+      totalWeight += weight;
+
+      return {
+        requirement: requirement.text,
+        importance: requirement.importance,
+        bestMatch: resumeChunks[bestIndex],
+        similarity: Math.round(bestSimilarity * 100) / 100
+      };
+    });
+
+    return {
+      score: Math.round(weightedScore / totalWeight),
+      model: EMBEDDING_MODEL,
+      matches
+    };
+  } catch (error) {
+    console.log('⚠️ Semantic match skipped:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  calculateSemanticMatch
+};
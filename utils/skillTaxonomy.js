@@ -0,0 +1,207 @@
+const skills = require('../data/skills.json');
+const { detectHeading } = require('./resumeParser');
+
+// Shared skill taxonomy - canonical names, aliases, categories and related skills
+// aliases match in any case, strictAliases only as written ("Spring", not "spring")
+// contextAliases are written-as-is names that are also everyday words or letters ("Go", "C", "R") -
+// they only count as list items ("Python, Go, Rust", "- Go") or under a skills heading, and never
+// when joined to more text ("Go-to-market", "R&D")
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One regex per alias kind, longest alias first so "react native" wins over "react" at the same spot
+const buildMatcher = (aliases, caseSensitive) => {
+  if (aliases.length === 0) {
+    return null;
+  }
+  const alternatives = [...aliases].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+  return new RegExp(`(?<![a-zA-Z0-9])(?:${alternatives})(?![a-zA-Z0-9+#])`, caseSensitive ? 'g' : 'gi');
+};
+
+// Lookup tables built once at load time
+const skillsByName = new Map();
+const skillsByAlias = new Map();
+const skillsByStrictAlias = new Map();
+const skillsByContextAlias = new Map();
+const matchedAliases = [];
+
+skills.forEach((skill) => {
+  const entry = {
+    name: skill.name,
+    aliases: skill.aliases || [],
+    strictAliases: skill.strictAliases || [],
+    contextAliases: skill.contextAliases || [],
+    category: skill.category,
+    related: skill.related || []
+  };
+
+  skillsByName.set(entry.name.toLowerCase(), entry);
+  skillsByAlias.set(entry.name.toLowerCase(), entry);
+
+  entry.aliases.forEach((alias) => {
+    skillsByAlias.set(alias.toLowerCase(), entry);
+    matchedAliases.push(alias);
+  });
+  entry.strictAliases.forEach(alias => skillsByStrictAlias.set(alias, entry));
+  entry.contextAliases.forEach(alias => skillsByContextAlias.set(alias, entry));
+});
+
+const MATCHERS = [
+  { regex: buildMatcher(matchedAliases, false), lookup: text => skillsByAlias.get(text.toLowerCase()) },
+  { regex: buildMatcher([...skillsByStrictAlias.keys()], true), lookup: text => skillsByStrictAlias.get(text) },
+  { regex: buildMatcher([...skillsByContextAlias.keys()], true), lookup: text => skillsByContextAlias.get(text), context: true }
+].filter(matcher => matcher.regex);
+
+// A context alias must be a whole item of a list: bounded by separators on both sides, where a
+// dash bullet or "and" / "or" also separates items ("Python, Go and C")
+const LIST_SEPARATOR_REGEX = /[,;|/•·▪●◦*()\n\t:]/;
+const LIST_LEAD_REGEX = /^\s*[-–]?\s*$|(^|\s)(and|or|&)\s*$/i;
+const LIST_TRAIL_REGEX = /^\s*\.?\s*$|^\s+(and|or|&)\s/i;
+
+const isListItem = (text, start, end) => {
+  let before = start;
+  while (before > 0 && !LIST_SEPARATOR_REGEX.test(text[before - 1])) before -= 1;
+  let after = end;
+  while (after < text.length && !LIST_SEPARATOR_REGEX.test(text[after])) after += 1;
+
+  return LIST_LEAD_REGEX.test(text.slice(before, start)) && LIST_TRAIL_REGEX.test(text.slice(end, after));
+};
+
+// Glued to more text by a joining character ("Go-to-market", "R&D", "C-suite") or by a lowercase
+// word on the same line ("Go live", "wrote C code") - not a skill even under a skills heading
+const JOINER_REGEX = /[-–&+'’]/;
+const LIST_WORD_REGEX = /^(and|or)$/i;
+
+const isJoined = (text, start, end) => {
+  if (JOINER_REGEX.test(text[start - 1] || '') || JOINER_REGEX.test(text[end] || '')) {
+    return true;
+  }
+  const before = text.slice(Math.max(0, start - 40), start).match(/([A-Za-z]+)[^\S\n]+$/);
+  const after = text.slice(end, end + 40).match(/^[^\S\n]+([A-Za-z]+)/);
+  return [before, after].some(word => word && /^[a-z]/.test(word[1]) && !LIST_WORD_REGEX.test(word[1]));
+};
+
+// [start, end) offsets of the lines under a skills heading
+const findSkillsSections = (text) => {
+  const ranges = [];
+  let offset = 0;
+  let current = null;
+
+  text.split('\n').forEach((line) => {
+    const section = detectHeading(line);
+    if (section) {
+      if (current) {
+        current.end = offset;
+      }
+      current = section === 'skills' ? { start: offset + line.length, end: text.length } : null;
+      if (current) {
+        ranges.push(current);
+      }
+    }
+    offset += line.length + 1;
+  });
+
+  return ranges;
+};
+
+// Locate every skill mention in the text
+const findSkillMentions = (text) => {
+  const candidates = [];
+
+  if (!text) {
+    return candidates;
+  }
+
+  let skillsSections = null;
+  const inSkillsSection = (start) => {
+    skillsSections = skillsSections || findSkillsSections(text);
+    return skillsSections.some(range => start >= range.start && start < range.end);
+  };
+
+  MATCHERS.forEach(({ regex, lookup, context }) => {
+    regex.lastIndex = 0;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+
+      if (!context || (!isJoined(text, start, end) && (isListItem(text, start, end) || inSkillsSection(start)))) {
+        candidates.push({ skill: lookup(match[0]).name, text: match[0], start, end });
+      }
+    }
+  });
+
+  // Longer mentions win over shorter ones that overlap them
+  const mentions = [];
+  candidates
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+    .forEach((candidate) => {
+      if (!mentions.some(mention => candidate.start < mention.end && candidate.end > mention.start)) {
+        mentions.push(candidate);
+      }
+    });
+
+  return mentions.sort((a, b) => a.start - b.start);
+};
+
+// Canonical skill names found in the text, in order of first appearance
+const findSkills = (text) => {
+  return [...new Set(findSkillMentions(text).map(mention => mention.skill))];
+};
+
+// Map any alias or canonical name to its canonical name (null if unknown)
+const normalizeSkill = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const entry = skillsByAlias.get(value.toLowerCase().trim());
+  return entry ? entry.name : null;
+};
+
+const getSkill = (name) => {
+  const canonical = normalizeSkill(name);
+  return canonical ? skillsByName.get(canonical.toLowerCase()) : null;
+};
+
+const getCategory = (name) => {
+  const skill = getSkill(name);
+  return skill ? skill.category : null;
+};
+
+const getRelatedSkills = (name) => {
+  const skill = getSkill(name);
+  return skill ? skill.related : [];
+};
+
+// Mentions per canonical skill name, from one pass over the text
+const countSkillMentions = (text) => {
+  const counts = new Map();
+  findSkillMentions(text).forEach(mention => counts.set(mention.skill, (counts.get(mention.skill) || 0) + 1));
+  return counts;
+};
+
+// Compare canonical skills of a resume against the ones asked for in a job description
+const compareSkills = (resumeText, jobDescription) => {
+  const resumeSkills = findSkills(resumeText);
+  const jobSkills = findSkills(jobDescription);
+
+  return {
+    resumeSkills,
+    jobSkills,
+    matched: jobSkills.filter(skill => resumeSkills.includes(skill)),
+    missing: jobSkills.filter(skill => !resumeSkills.includes(skill))
+  };
+};
+
+module.exports = {
+  findSkillMentions,
+  findSkills,
+  normalizeSkill,
+  getSkill,
+  getCategory,
+  getRelatedSkills,
+  countSkillMentions,
+  compareSkills
+};
@@ -0,0 +1,284 @@
+const JSZip = require('jszip');
+
+// Plain-text extraction for the non-PDF/DOCX resume formats (RTF, ODT, HTML, JSON Resume)
+// Every extractor keeps line structure so extractSections can find the headings
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', bull: '•', middot: '·', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©', reg: '®', trade: '™'
+};
+
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+};
+
+// ---------- RTF ----------
+
+// Groups whose content is metadata, not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'colorschememapping',
+  'latentstyles', 'datastore', 'xmlnstbl', 'listtable', 'listoverridetable', 'rsidtbl', 'generator',
+  'filetbl', 'revtbl', 'fldinst', 'header', 'footer', 'headerl', 'headerr', 'footerl', 'footerr'
+]);
+
+const RTF_CHARACTERS = {
+  par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n', cell: '\t', tab: '\t',
+  bullet: '•', endash: '–', emdash: '—', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+// \'hh escapes use the Windows-1252 code page; 0x80-0x9F differ from latin1
+const CP1252_HIGH = {
+  0x80: '€', 0x82: '‚', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x89: '‰', 0x8b: '‹',
+  0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™', 0x9b: '›'
+};
+
+const decodeRtfHex = (hex) => {
+  const code = parseInt(hex, 16);
+  return CP1252_HIGH[code] || String.fromCharCode(code);
+};
+
+const rtfToText = (rtf) => {
+  if (!rtf.startsWith('{\\rtf')) {
+    throw new Error('Not a valid RTF document');
+  }
+
+  const output = [];
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let i = 0;
+
+  const emit = (text) => {
+    if (pendingSkip > 0) {
+      pendingSkip -= 1;
+      return;
+    }
+    if (!state.skip) {
+      output.push(text);
+    }
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i += 1;
+    } else if (char === '}') {
+      state = stack.pop() || state;
+      i += 1;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === "'") {
+        emit(decodeRtfHex(rtf.substr(i + 2, 2)));
+        i += 4;
+      } else if (next === '*') {
+        state.skip = true;
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '-' || next === '_') {
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i += 2;
+      } else {
+        const match = /^([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i + 1, i + 40));
+        if (!match) {
+          i += 2;
+          continue;
+        }
+
+        const [whole, word, param] = match;
+        i += 1 + whole.length;
+
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'uc') {
+          state.unicodeSkip = Number(param);
+        } else if (word === 'u') {
+          let code = Number(param);
+          if (code < 0) code += 65536;
+          emit(String.fromCharCode(code));
+          pendingSkip = state.unicodeSkip;
+        } else if (RTF_CHARACTERS[word]) {
+          emit(RTF_CHARACTERS[word]);
+        }
+      }
+    } else if (char === '\r' || char === '\n') {
+      i += 1;
+    } else {
+      emit(char);
+      i += 1;
+    }
+  }
+
+  return output.join('');
+};
+
+// ---------- HTML / XML ----------
+
+const BLOCK_TAGS = 'p|div|section|article|header|footer|h[1-6]|ul|ol|table|tr|br|hr|li|dt|dd|blockquote|pre|address';
+
+const htmlToText = (html) => {
+  return decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '')
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<\/li>/gi, '')
+      .replace(/<\/?(td|th)\b[^>]*>/gi, '\t')
+      .replace(new RegExp(`<\\/?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+      .replace(/<[^>]+>/g, '')
+  ).replace(/\n\s*\n/g, '\n');
+};
+
+// ODT content.xml - paragraphs and headings become lines, list items get bullets
+const odtXmlToText = (xml) => {
+  const body = xml.replace(/^[\s\S]*?<office:body>/, '').replace(/<\/office:body>[\s\S]*$/, '');
+
+  return decodeEntities(
+    body
+      .replace(/<text:s\s+text:c="(\d+)"\s*\/>/g, (match, count) => ' '.repeat(Number(count)))
+      .replace(/<text:s\s*\/>/g, ' ')
+      .replace(/<text:tab\s*\/>/g, '\t')
+      .replace(/<text:line-break\s*\/>/g, '\n')
+      .replace(/<text:list-item\b[^>]*>/g, '- ')
+      .replace(/<\/text:(p|h)>/g, '\n')
+      .replace(/<text:(note|tracked-changes)\b[\s\S]*?<\/text:\1>/g, '')
+      .replace(/<table:table-cell\b[^>]*>/g, '\t')
+      .replace(/<[^>]+>/g, '')
+  ).replace(/^- \n/gm, '- ');
+};
+
+const odtToText = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+
+  if (!content) {
+    throw new Error('Not a valid ODT document (content.xml missing)');
+  }
+
+  return odtXmlToText(await content.async('string'));
+};
+
+// ---------- JSON Resume (https://jsonresume.org/schema) ----------
+
+const isJsonResume = (value) => {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    ['basics', 'work', 'education', 'skills'].some(key => key in value);
+};
+
+// "2019-03-01" -> "Mar 2019", the format experienceParser reads
+const formatResumeDate = (value) => {
+  if (!value) return 'Present';
+  const match = String(value).match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!match) return String(value);
+  if (!match[2]) return match[1];
+  const month = new Date(Date.UTC(2000, Number(match[2]) - 1, 1)).toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+  return `${month} ${match[1]}`;
+};
+
+const joinParts = (parts, separator = ' | ') => parts.filter(Boolean).join(separator);
+const optional = (value) => (value ? [value] : []);
+
+const formatLocation = (location) => {
+  if (!location) return '';
+  if (typeof location === 'string') return location;
+  return joinParts([location.city, location.region, location.countryCode], ', ');
+};
+
+const jsonResumeToText = (resume) => {
+  const lines = [];
+  const basics = resume.basics || {};
+  const section = (heading, entries, render) => {
+    if (!Array.isArray(entries) || entries.length === 0) return;
+    lines.push('', heading);
+    entries.forEach(entry => lines.push(...render(entry)));
+  };
+  const bullets = (items) => (Array.isArray(items) ? items.map(item => `- ${item}`) : []);
+  const dateRange = (entry) => {
+    if (entry.startDate) return `${formatResumeDate(entry.startDate)} - ${formatResumeDate(entry.endDate)}`;
+    return entry.endDate ? formatResumeDate(entry.endDate) : '';
+  };
+
+  lines.push(
+    basics.name || '',
+    basics.label || '',
+    joinParts([basics.email, basics.phone, formatLocation(basics.location)]),
+    joinParts([basics.url || basics.website, ...(basics.profiles || []).map(profile => profile.url || `${profile.network}: ${profile.username}`)])
+  );
+
+  if (basics.summary) {
+    lines.push('', 'Summary', basics.summary);
+  }
+
+  section('Experience', resume.work, (job) => [
+    '',
+    joinParts([job.position, job.name || job.company, formatLocation(job.location)]),
+    dateRange(job),
+    ...optional(job.summary),
+    ...bullets(job.highlights)
+  ]);
+
+  section('Volunteer Experience', resume.volunteer, (role) => [
+    '',
+    joinParts([role.position, role.organization]),
+    dateRange(role),
+    ...optional(role.summary),
+    ...bullets(role.highlights)
+  ]);
+
+  section('Education', resume.education, (school) => [
+    joinParts([joinParts([school.studyType, school.area], ' in '), school.institution]),
+    ...optional(joinParts([dateRange(school), school.score ? `GPA: ${school.score}` : ''])),
+    ...bullets(school.courses)
+  ]);
+
+  section('Skills', resume.skills, (skill) => [
+    skill.keywords && skill.keywords.length ? `${skill.name}: ${skill.keywords.join(', ')}` : skill.name
+  ]);
+
+  section('Certifications', resume.certificates, (certificate) => [
+    joinParts([certificate.name, certificate.issuer, certificate.date ? formatResumeDate(certificate.date) : ''], ' - ')
+  ]);
+
+  section('Projects', resume.projects, (project) => [
+    '',
+    joinParts([project.name, dateRange(project)]),
+    ...optional(project.description),
+    ...bullets(project.highlights),
+    ...optional(project.keywords && project.keywords.length ? `Technologies: ${project.keywords.join(', ')}` : '')
+  ]);
+
+  section('Awards', resume.awards, (award) => [
+    joinParts([award.title, award.awarder, award.date ? formatResumeDate(award.date) : ''], ' - ')
+  ]);
+
+  section('Languages', resume.languages, (language) => [joinParts([language.language, language.fluency], ' - ')]);
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  CP1252_HIGH,
+  decodeEntities,
+  rtfToText,
+  htmlToText,
+  odtToText,
+  isJsonResume,
+  jsonResumeToText
+};
@@ -0,0 +1,285 @@
+const zlib = require('zlib');
+
+// Content checks for uploaded resumes - run before any parser sees the buffer
+// The file type comes from the bytes, not from the client's mimetype or extension
+
+// Error codes returned as `error` in the JSON body, with their HTTP status
+const UPLOAD_ERRORS = {
+  FILE_TOO_LARGE: { status: 413, message: 'File is too large' },
+  TOO_MANY_FILES: { status: 400, message: 'Too many files in one upload' },
+  UNSUPPORTED_FILE_TYPE: { status: 415, message: 'File content is not a supported resume format' },
+  EXTENSION_MISMATCH: { status: 415, message: 'File extension does not match the file content' },
+  ARCHIVE_TOO_MANY_ENTRIES: { status: 413, message: 'Document archive contains too many entries' },
+  ARCHIVE_TOO_LARGE: { status: 413, message: 'Document expands to more data than allowed' },
+  CORRUPT_FILE: { status: 422, message: 'File is damaged or could not be read' },
+  PDF_ENCRYPTED: { status: 422, message: 'PDF is encrypted or password protected - please upload an unprotected copy' },
+  DOC_ENCRYPTED: { status: 422, message: 'Word document is password protected - please upload an unprotected copy' },
+  PDF_JAVASCRIPT: { status: 422, message: 'PDF contains embedded JavaScript and was rejected' },
+  PARSE_TIMEOUT: { status: 422, message: 'Reading the file took too long' },
+  PARSE_FAILED: { status: 422, message: 'Failed to parse resume' },
+  NO_TEXT_FOUND: { status: 400, message: 'Could not extract enough text. Please ensure the PDF contains readable text, not scanned images.' }
+};
+
+// Limits for zip-based documents (DOCX, ODT) - entry count from the directory, size while inflating
+const MAX_ARCHIVE_ENTRIES = parseInt(process.env.MAX_ARCHIVE_ENTRIES, 10) || 500;
+const MAX_ARCHIVE_UNCOMPRESSED_BYTES = parseInt(process.env.MAX_ARCHIVE_UNCOMPRESSED_BYTES, 10) || 50 * 1024 * 1024;
+// Object streams are inflated to look for hidden JavaScript - capped so they can't be a bomb either
+const MAX_OBJECT_STREAM_BYTES = 10 * 1024 * 1024;
+
+const uploadError = (code, message) => {
+  const error = new Error(message || UPLOAD_ERRORS[code].message);
+  error.code = code;
+  error.status = UPLOAD_ERRORS[code].status;
+  return error;
+};
+
+const isUploadError = (error) => Boolean(error && UPLOAD_ERRORS[error.code]);
+
+// ---------- Zip directory ----------
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_MAX_COMMENT = 0xffff;
+
+// Entry names and declared sizes from the central directory, without inflating anything
+const readZipDirectory = (buffer) => {
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - ZIP_MAX_COMMENT); offset -= 1) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw uploadError('CORRUPT_FILE', 'Document archive is damaged (end of central directory not found)');
+  }
+
+  const declaredEntries = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+
+  // ZIP64 markers - no resume document needs an archive that large
+  if (declaredEntries === 0xffff || directoryOffset === 0xffffffff) {
+    throw uploadError('ARCHIVE_TOO_LARGE');
+  }
+  if (declaredEntries > MAX_ARCHIVE_ENTRIES) {
+    throw uploadError('ARCHIVE_TOO_MANY_ENTRIES', `Document archive has ${declaredEntries} entries (limit ${MAX_ARCHIVE_ENTRIES})`);
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+
+  while (offset + 46 <= end && buffer.readUInt32LE(offset) === ZIP_CENTRAL_HEADER) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    if (entries.length > MAX_ARCHIVE_ENTRIES) {
+      throw uploadError('ARCHIVE_TOO_MANY_ENTRIES', `Document archive has more than ${MAX_ARCHIVE_ENTRIES} entries`);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATE = 8;
+const ZIP_FLAG_ENCRYPTED = 0x1;
+
+// Inflates one directory entry, never producing more than maxBytes - the sizes in the
+// directory are written by the uploader, so the limit is enforced on the real output
+const inflateZipEntry = (buffer, entry, maxBytes) => {
+  const header = entry.localHeaderOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== ZIP_LOCAL_HEADER) {
+    throw uploadError('CORRUPT_FILE', `Document archive entry "${entry.name}" is damaged`);
+  }
+  if (entry.flags & ZIP_FLAG_ENCRYPTED) {
+    throw uploadError('CORRUPT_FILE', `Document archive entry "${entry.name}" is encrypted`);
+  }
+
+  const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  const tooLarge = () => uploadError('ARCHIVE_TOO_LARGE',
+    `Document expands to more than ${Math.round(MAX_ARCHIVE_UNCOMPRESSED_BYTES / 1024 / 1024)}MB`);
+
+  if (entry.method === ZIP_METHOD_STORED) {
+    if (data.length > maxBytes) throw tooLarge();
+    return data;
+  }
+  if (entry.method !== ZIP_METHOD_DEFLATE) {
+    throw uploadError('CORRUPT_FILE', `Document archive entry "${entry.name}" uses an unsupported compression method`);
+  }
+
+  let output;
+  try {
+    output = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, maxBytes) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+    throw uploadError('CORRUPT_FILE', `Document archive entry "${entry.name}" is damaged`);
+  }
+  if (output.length > maxBytes) throw tooLarge();
+  return output;
+};
+
+// Inflates every entry against one shared budget - declared sizes can't be trusted
+const checkArchiveLimits = (buffer, entries) => {
+  let budget = MAX_ARCHIVE_UNCOMPRESSED_BYTES;
+  entries.forEach((entry) => {
+    if (entry.name.endsWith('/')) return;
+    budget -= inflateZipEntry(buffer, entry, budget).length;
+  });
+};
+
+// ---------- Sniffing ----------
+
+const startsWith = (buffer, signature) => buffer.subarray(0, signature.length).equals(signature);
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const RTF_SIGNATURE = Buffer.from('{\\rtf');
+const TEXT_SAMPLE_BYTES = 8192;
+
+// Plain text has no NUL bytes and few control characters
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, TEXT_SAMPLE_BYTES);
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte < 9 || (byte > 13 && byte < 32)) control += 1;
+  }
+  return control <= sample.length * 0.01;
+};
+
+// Format from the bytes: pdf, docx, odt, zip, doc (OLE compound file), rtf, text or null
+// Zip-based formats also return their directory entries
+const sniffFormat = (buffer) => {
+  // Some generators put junk before the header - readers accept it within the first 1KB
+  if (buffer.subarray(0, 1024).indexOf(PDF_SIGNATURE) !== -1) {
+    return { format: 'pdf' };
+  }
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER) {
+    const entries = readZipDirectory(buffer);
+    const names = new Set(entries.map(entry => entry.name));
+
+    if (names.has('[Content_Types].xml') && names.has('word/document.xml')) {
+      return { format: 'docx', entries };
+    }
+    if (names.has('mimetype') && names.has('content.xml')) {
+      return { format: 'odt', entries };
+    }
+    return { format: 'zip', entries };
+  }
+  if (startsWith(buffer, CFB_SIGNATURE)) {
+    return { format: 'doc' };
+  }
+  if (startsWith(buffer, RTF_SIGNATURE)) {
+    return { format: 'rtf' };
+  }
+  if (looksLikeText(buffer)) {
+    return { format: 'text' };
+  }
+  return { format: null };
+};
+
+// Sniffed formats each declared format may contain (".doc" is often DOCX or RTF in disguise)
+const COMPATIBLE_CONTENT = {
+  pdf: ['pdf'],
+  docx: ['docx'],
+  doc: ['doc', 'docx', 'rtf'],
+  odt: ['odt'],
+  rtf: ['rtf'],
+  txt: ['text'],
+  html: ['text'],
+  json: ['text']
+};
+
+// ---------- PDF checks ----------
+
+const PDF_ENCRYPT_REGEX = /\/Encrypt\b/;
+const PDF_JAVASCRIPT_REGEX = /\/(JavaScript|JS)\b/;
+
+// Dictionaries inside compressed object streams are invisible to a plain byte scan
+const inflateObjectStreams = (source, buffer) => {
+  const streams = [];
+  const streamRegex = /stream\r?\n/g;
+  let match;
+
+  while ((match = streamRegex.exec(source)) !== null) {
+    const objectStart = source.lastIndexOf(' obj', match.index);
+    const dictionary = source.slice(Math.max(0, objectStart, match.index - 1000), match.index);
+    const end = source.indexOf('endstream', streamRegex.lastIndex);
+
+    if (end === -1) break;
+    if (/\/Type\s*\/ObjStm/.test(dictionary) && /\/FlateDecode/.test(dictionary)) {
+      try {
+        const data = buffer.subarray(streamRegex.lastIndex, end);
+        streams.push(zlib.inflateSync(data, { maxOutputLength: MAX_OBJECT_STREAM_BYTES, finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('latin1'));
+      } catch (error) {
+        // Unreadable object streams are left to the parser
+      }
+    }
+    streamRegex.lastIndex = end + 'endstream'.length;
+  }
+
+  return streams;
+};
+
+const checkPdf = (buffer) => {
+  const source = buffer.toString('latin1');
+
+  if (PDF_ENCRYPT_REGEX.test(source)) {
+    throw uploadError('PDF_ENCRYPTED');
+  }
+  if (PDF_JAVASCRIPT_REGEX.test(source) || inflateObjectStreams(source, buffer).some(text => PDF_JAVASCRIPT_REGEX.test(text))) {
+    throw uploadError('PDF_JAVASCRIPT');
+  }
+};
+
+// Throws an upload error unless the bytes match the declared format and stay within limits
+const validateUpload = (file, declaredFormat) => {
+  const buffer = file.buffer;
+
+  if (!buffer || buffer.length === 0) {
+    throw uploadError('CORRUPT_FILE', 'File is empty');
+  }
+
+  const { format, entries } = sniffFormat(buffer);
+
+  if (!format) {
+    throw uploadError('UNSUPPORTED_FILE_TYPE');
+  }
+  if (!COMPATIBLE_CONTENT[declaredFormat].includes(format)) {
+    throw uploadError('EXTENSION_MISMATCH',
+      `File "${file.originalname}" is named as ${declaredFormat.toUpperCase()} but its content is ${format === 'text' ? 'plain text' : format.toUpperCase()}`);
+  }
+
+  if (entries) {
+    checkArchiveLimits(buffer, entries);
+  }
+  if (format === 'pdf') {
+    checkPdf(buffer);
+  }
+
+  return format;
+};
+
+module.exports = {
+  UPLOAD_ERRORS,
+  MAX_ARCHIVE_UNCOMPRESSED_BYTES,
+  uploadError,
+  isUploadError,
+  sniffFormat,
+  readZipDirectory,
+  inflateZipEntry,
+  validateUpload
+};
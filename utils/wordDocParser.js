@@ -0,0 +1,305 @@
+const { CP1252_HIGH } = require('./textExtractors');
+const { uploadError } = require('./uploadValidation');
+
+// Legacy Word 97-2003 (.doc) text extraction
+// A .doc is an OLE compound file; the text lives in the WordDocument stream and is
+// located through the piece table (CLX) stored in the 0Table / 1Table stream
+
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const NO_STREAM = 0xffffffff;
+const DIRECTORY_ENTRY_SIZE = 128;
+const HEADER_DIFAT_ENTRIES = 109;
+
+const WORD_IDENT = 0xa5ec;
+const MIN_WORD97_NFIB = 0x00c1;
+const FIB_FLAG_ENCRYPTED = 0x0100;
+const FIB_FLAG_TABLE_1 = 0x0200;
+const FIB_CCP_TEXT_OFFSET = 0x004c;
+const FIB_FC_CLX_OFFSET = 0x01a2;
+// A real CLX holds a handful of Prc blocks - anything near this is a crafted file
+const MAX_PRC_BLOCKS = 4096;
+
+// ---------- OLE compound file ----------
+
+const readCompoundFile = (buffer) => {
+  if (buffer.length < 512 || !buffer.subarray(0, 8).equals(CFB_SIGNATURE)) {
+    throw new Error('Not an OLE compound file');
+  }
+
+  const sectorSize = 1 << buffer.readUInt16LE(0x1e);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const fatSectorCount = buffer.readUInt32LE(0x2c);
+  const firstDirectorySector = buffer.readUInt32LE(0x30);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const firstMiniFatSector = buffer.readUInt32LE(0x3c);
+  let difatSector = buffer.readUInt32LE(0x44);
+  const maxSectors = Math.ceil(buffer.length / sectorSize);
+
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+  const readSector = (sector) => {
+    const offset = sectorOffset(sector);
+    if (offset >= buffer.length) {
+      throw new Error(`Sector ${sector} is outside the file`);
+    }
+    return buffer.subarray(offset, Math.min(offset + sectorSize, buffer.length));
+  };
+
+  // Sector numbers of every FAT sector: 109 in the header, the rest in DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < HEADER_DIFAT_ENTRIES && fatSectors.length < fatSectorCount; i += 1) {
+    fatSectors.push(buffer.readUInt32LE(0x4c + i * 4));
+  }
+  let difatHops = 0;
+  while (fatSectors.length < fatSectorCount && difatSector !== END_OF_CHAIN && difatSector !== FREE_SECTOR) {
+    if (difatHops++ > maxSectors) throw new Error('DIFAT chain loops');
+    const sector = readSector(difatSector);
+    const entriesPerSector = sectorSize / 4 - 1;
+    for (let i = 0; i < entriesPerSector && fatSectors.length < fatSectorCount; i += 1) {
+      fatSectors.push(sector.readUInt32LE(i * 4));
+    }
+    difatSector = sector.readUInt32LE(entriesPerSector * 4);
+  }
+
+  const fat = [];
+  fatSectors.forEach((fatSector) => {
+    const sector = readSector(fatSector);
+    for (let i = 0; i + 4 <= sector.length; i += 4) {
+      fat.push(sector.readUInt32LE(i));
+    }
+  });
+
+  const followChain = (start, table, limit) => {
+    const chain = [];
+    let sector = start;
+    while (sector !== END_OF_CHAIN && sector !== FREE_SECTOR) {
+      if (sector >= table.length || chain.length > limit) {
+        throw new Error('Corrupt sector chain');
+      }
+      chain.push(sector);
+      sector = table[sector];
+    }
+    return chain;
+  };
+
+  const readChain = (start) => Buffer.concat(followChain(start, fat, maxSectors).map(readSector));
+
+  // Directory
+  const directoryData = readChain(firstDirectorySector);
+  const entries = [];
+  for (let offset = 0; offset + DIRECTORY_ENTRY_SIZE <= directoryData.length; offset += DIRECTORY_ENTRY_SIZE) {
+    const nameLength = directoryData.readUInt16LE(offset + 0x40);
+    entries.push({
+      name: directoryData.toString('utf16le', offset, offset + Math.max(nameLength - 2, 0)),
+      type: directoryData[offset + 0x42],
+      startSector: directoryData.readUInt32LE(offset + 0x74),
+      size: directoryData.readUInt32LE(offset + 0x78)
+    });
+  }
+
+  const root = entries[0];
+  if (!root || root.type !== 5) {
+    throw new Error('Compound file has no root entry');
+  }
+
+  // Small streams live in the mini stream, addressed through the mini FAT
+  let miniStream = null;
+  let miniFat = null;
+  const loadMiniStream = () => {
+    if (miniStream) return;
+    miniStream = root.startSector === END_OF_CHAIN ? Buffer.alloc(0) : readChain(root.startSector);
+    const miniFatData = firstMiniFatSector === END_OF_CHAIN ? Buffer.alloc(0) : readChain(firstMiniFatSector);
+    miniFat = [];
+    for (let i = 0; i + 4 <= miniFatData.length; i += 4) {
+      miniFat.push(miniFatData.readUInt32LE(i));
+    }
+  };
+
+  const readStream = (name) => {
+    const entry = entries.find(item => item.type === 2 && item.name.toLowerCase() === name.toLowerCase());
+    if (!entry) {
+      return null;
+    }
+    if (entry.size === 0 || entry.startSector === NO_STREAM) {
+      return Buffer.alloc(0);
+    }
+
+    if (entry.size < miniStreamCutoff) {
+      loadMiniStream();
+      const chain = followChain(entry.startSector, miniFat, miniStream.length / miniSectorSize);
+      const data = Buffer.concat(chain.map(sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize)));
+      return data.subarray(0, entry.size);
+    }
+
+    return readChain(entry.startSector).subarray(0, entry.size);
+  };
+
+  return { entries, readStream };
+};
+
+// ---------- Word binary format ----------
+
+// Control characters used inside the document text
+const cleanWordText = (text) => {
+  let output = '';
+  let fieldDepth = 0;
+  const showingResult = [];
+
+  for (const char of text) {
+    if (char === '\u0013') {
+      fieldDepth += 1;
+      showingResult.push(false);
+      continue;
+    }
+    if (char === '\u0014') {
+      if (fieldDepth > 0) showingResult[fieldDepth - 1] = true;
+      continue;
+    }
+    if (char === '\u0015') {
+      if (fieldDepth > 0) {
+        fieldDepth -= 1;
+        showingResult.pop();
+      }
+      continue;
+    }
+    // Field instructions (e.g. HYPERLINK "...") are hidden, field results are kept
+    if (fieldDepth > 0 && !showingResult[fieldDepth - 1]) {
+      continue;
+    }
+
+    switch (char) {
+      case '\r':
+      case '\u000b':
+      case '\u000c':
+        output += '\n';
+        break;
+      case '\u0007':
+        output += '\t';
+        break;
+      case '\u001e':
+        output += '-';
+        break;
+      case ' ':
+        output += ' ';
+        break;
+      case '\u0001':
+      case '\u0008':
+      case '\u001f':
+        break;
+      default:
+        output += char;
+    }
+  }
+
+  return output;
+};
+
+const decodeCompressed = (bytes) => {
+  let text = '';
+  for (const byte of bytes) {
+    text += CP1252_HIGH[byte] || String.fromCharCode(byte);
+  }
+  return text;
+};
+
+// Piece table: character positions -> byte ranges in the WordDocument stream
+const readPieceTable = (tableStream, fcClx, lcbClx) => {
+  let offset = fcClx;
+  const end = fcClx + lcbClx;
+
+  if (end > tableStream.length) {
+    throw new Error('Piece table is outside the table stream');
+  }
+
+  // Skip Prc (property modifier) blocks until the Pcdt - sizes are untrusted, so every step
+  // must move forward and stay inside the CLX
+  let blocks = 0;
+  while (offset < end && tableStream[offset] === 0x01) {
+    if (++blocks > MAX_PRC_BLOCKS || offset + 3 > end) {
+      throw uploadError('PARSE_FAILED', 'Failed to parse resume: corrupt piece table');
+    }
+    const next = offset + 3 + tableStream.readUInt16LE(offset + 1);
+    if (next <= offset || next > end) {
+      throw uploadError('PARSE_FAILED', 'Failed to parse resume: corrupt piece table');
+    }
+    offset = next;
+  }
+
+  if (tableStream[offset] !== 0x02) {
+    throw new Error('Piece table not found');
+  }
+
+  const plcSize = tableStream.readUInt32LE(offset + 1);
+  const plcStart = offset + 5;
+  const pieceCount = (plcSize - 4) / 12;
+
+  if (!Number.isInteger(pieceCount) || pieceCount < 1 || plcStart + plcSize > tableStream.length) {
+    throw new Error('Corrupt piece table');
+  }
+
+  const pieces = [];
+  for (let i = 0; i < pieceCount; i += 1) {
+    const descriptor = plcStart + (pieceCount + 1) * 4 + i * 8;
+    const fc = tableStream.readUInt32LE(descriptor + 2);
+    const compressed = (fc & 0x40000000) !== 0;
+
+    pieces.push({
+      cpStart: tableStream.readUInt32LE(plcStart + i * 4),
+      cpEnd: tableStream.readUInt32LE(plcStart + (i + 1) * 4),
+      compressed,
+      byteOffset: compressed ? (fc & 0x3fffffff) / 2 : fc
+    });
+  }
+
+  return pieces;
+};
+
+const extractWordDocText = (buffer) => {
+  const compound = readCompoundFile(buffer);
+  const wordStream = compound.readStream('WordDocument');
+
+  if (!wordStream || wordStream.length < FIB_FC_CLX_OFFSET + 8) {
+    throw new Error('Not a Word document (WordDocument stream missing)');
+  }
+  if (wordStream.readUInt16LE(0) !== WORD_IDENT) {
+    throw new Error('Not a Word document (bad FIB signature)');
+  }
+
+  // Same flag position in Word 6/95 headers, so protected files get their own error either way
+  const flags = wordStream.readUInt16LE(0x0a);
+  if (flags & FIB_FLAG_ENCRYPTED) {
+    throw uploadError('DOC_ENCRYPTED');
+  }
+
+  if (wordStream.readUInt16LE(2) < MIN_WORD97_NFIB) {
+    throw new Error('Word 6/95 documents are not supported - please save the file as .docx or PDF');
+  }
+
+  const tableStream = compound.readStream(flags & FIB_FLAG_TABLE_1 ? '1Table' : '0Table');
+  if (!tableStream) {
+    throw new Error('Word table stream missing');
+  }
+
+  // Only the main document story - footnotes, headers and comments follow it
+  const mainTextLength = wordStream.readInt32LE(FIB_CCP_TEXT_OFFSET);
+  const pieces = readPieceTable(tableStream, wordStream.readUInt32LE(FIB_FC_CLX_OFFSET), wordStream.readUInt32LE(FIB_FC_CLX_OFFSET + 4));
+
+  let text = '';
+  for (const piece of pieces) {
+    if (piece.cpStart >= mainTextLength) break;
+
+    const length = Math.min(piece.cpEnd, mainTextLength) - piece.cpStart;
+    const byteLength = piece.compressed ? length : length * 2;
+    const bytes = wordStream.subarray(piece.byteOffset, piece.byteOffset + byteLength);
+
+    text += piece.compressed ? decodeCompressed(bytes) : bytes.toString('utf16le');
+  }
+
+  return cleanWordText(text);
+};
+
+module.exports = {
+  readCompoundFile,
+  extractWordDocText
+};
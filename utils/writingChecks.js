@@ -0,0 +1,351 @@
+const fs = require('fs');
+const nspell = require('nspell');
+const compromise = require('compromise');
+const { normalizeSkill } = require('./skillTaxonomy');
+const techTerms = require('../data/techTerms.json');
+
+// Writing checks for the readability dimension - spelling, passive voice, tense consistency,
+// repeated words and readability indices, each finding located by its line in the resume
+// Findings: { type, severity, line, text, message, suggestion } (line is 1-based)
+
+// Spelling, passive voice, tense and the indices only work for English text
+const ENGLISH_CHECKS = ['spelling', 'passiveVoice', 'tense', 'repeatedWord', 'readabilityIndices'];
+const UNIVERSAL_CHECKS = ['repeatedWord'];
+
+// Each misspelled word is reported once, and suggestions are slow - so the list is capped
+const MAX_SPELLING_FINDINGS = 10;
+const MAX_SUGGESTION_LENGTH = 15;
+// Without headings there's no contact block to skip - the name and contact lines come first
+const UNSECTIONED_SKIP_LINES = 3;
+// A sentence this much longer than the profile's maximum is pointed out on its own
+const LONG_SENTENCE_MARGIN = 10;
+
+// ---------- Spelling ----------
+
+const TECH_TERMS = new Set(techTerms);
+
+// Offline US English dictionary (Hunspell), loaded on first use
+let speller = null;
+
+const getSpeller = () => {
+  if (!speller) {
+    const read = (extension) => fs.readFileSync(require.resolve(`dictionary-en/index.${extension}`));
+    speller = nspell(read('aff'), read('dic'));
+    console.log('✅ Spelling dictionary loaded');
+  }
+  return speller;
+};
+
+// British spellings are not typos ("optimised", "colour", "analyse", "centre")
+const toAmericanSpelling = (word) => word
+  .replace(/is(e|ed|es|ing|ation|ations)$/, 'iz$1')
+  .replace(/ys(e|ed|es|ing)$/, 'yz$1')
+  .replace(/our(s|ed|ing)?$/, 'or$1')
+  .replace(/tre(s)?$/, 'ter$1');
+
+const isKnownWord = (word) => {
+  const lower = word.toLowerCase();
+  const dictionary = getSpeller();
+
+  return TECH_TERMS.has(lower) ||
+    Boolean(normalizeSkill(lower)) ||
+    dictionary.correct(word) ||
+    dictionary.correct(lower) ||
+    dictionary.correct(toAmericanSpelling(lower));
+};
+
+// Words worth checking on one line - skips acronyms, capitalized names mid-sentence,
+// and anything with digits or symbols ("Node.js", "C#", "v2", emails)
+const spellingCandidates = (line) => {
+  const candidates = [];
+  let sentenceStart = true;
+
+  line.split(/\s+/).forEach((raw) => {
+    const token = raw.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').replace(/['’]s$/, '');
+    const startsSentence = sentenceStart;
+    sentenceStart = /[.!?:]$/.test(raw);
+
+    if (!token || !/^[A-Za-z]+(?:[-'’][A-Za-z]+)*$/.test(token)) {
+      return;
+    }
+    token.split('-').forEach((word, index) => {
+      const capitalized = /^[A-Z]/.test(word);
+      if (word.length < 3 || word === word.toUpperCase() || (capitalized && !(startsSentence && index === 0))) {
+        return;
+      }
+      candidates.push(word);
+    });
+  });
+
+  return candidates;
+};
+
+const checkSpelling = (lines) => {
+  const misspelled = new Map();
+
+  lines.forEach(({ number, text }) => {
+    spellingCandidates(text).forEach((word) => {
+      const key = word.toLowerCase();
+      if (misspelled.has(key)) {
+        misspelled.get(key).occurrences += 1;
+      } else if (!isKnownWord(word)) {
+        misspelled.set(key, { word, line: number, text, occurrences: 1 });
+      }
+    });
+  });
+
+  return Array.from(misspelled.values())
+    .slice(0, MAX_SPELLING_FINDINGS)
+    .map(({ word, line, text, occurrences }) => {
+      const [correction] = word.length <= MAX_SUGGESTION_LENGTH ? getSpeller().suggest(word.toLowerCase()) : [];
+      return {
+        type: 'spelling',
+        severity: 'high',
+        line,
+        text,
+        word,
+        occurrences,
+        message: `"${word}" on line ${line} may be misspelled`,
+        suggestion: correction ? `Did you mean "${correction}"?` : 'Check the spelling of this word'
+      };
+    });
+};
+
+// ---------- Passive voice ----------
+
+// A form of "to be" followed by a past participle - "was developed", "were reduced by"
+const PASSIVE_VOICE_REGEX = /\b(am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?(\w+ed|built|done|made|written|led|run|given|taken|shown|seen|chosen|driven|grown|held|kept|sold|sent|spent|taught|brought|found|won|begun|rebuilt|rewritten|overseen|undertaken)\b/gi;
+// Participles that read as adjectives ("is based in", "am experienced in")
+const ADJECTIVAL_PARTICIPLES = new Set([
+  'based', 'located', 'interested', 'experienced', 'skilled', 'qualified', 'dedicated', 'motivated',
+  'talented', 'certified', 'licensed', 'excited', 'focused', 'detailed', 'organized', 'organised', 'self-motivated'
+]);
+
+const checkPassiveVoice = (lines) => {
+  const findings = [];
+
+  lines.forEach(({ number, text }) => {
+    for (const match of text.matchAll(PASSIVE_VOICE_REGEX)) {
+      if (ADJECTIVAL_PARTICIPLES.has(match[2].toLowerCase())) {
+        continue;
+      }
+      findings.push({
+        type: 'passiveVoice',
+        severity: 'low',
+        line: number,
+        text,
+        phrase: match[0],
+        message: `Passive voice "${match[0]}" on line ${number}`,
+        suggestion: 'Start with what you did ("Developed ..." instead of "... was developed")'
+      });
+    }
+  });
+
+  return findings;
+};
+
+// ---------- Tense consistency ----------
+
+const PASSIVE_BULLET_REGEX = new RegExp(PASSIVE_VOICE_REGEX.source, 'i');
+const AUXILIARY_REGEX = /^(am|is|are|was|were|be|been|being|has|have|had)$/i;
+
+// Tense of a bullet's opening verb - 'past', 'present' or null when it doesn't open with a verb
+// Passive bullets are left to the passive-voice check, noun-led ones ("Code reviews were ...") have no opening verb
+const openingTense = (bullet) => {
+  const words = bullet.split(/\s+/);
+  if (PASSIVE_BULLET_REGEX.test(bullet) || words.slice(1, 4).some(word => AUXILIARY_REGEX.test(word))) {
+    return null;
+  }
+
+  // Tagged after an implied "I", so a word that can be a verb is read as one ("Develop APIs")
+  const opening = words.slice(0, 3).join(' ');
+  const first = compromise(`I ${/^[A-Z][a-z]/.test(opening) ? opening.charAt(0).toLowerCase() + opening.slice(1) : opening}`).terms().eq(1);
+
+  if (!first.has('#Verb')) return null;
+  if (first.has('#PastTense')) return 'past';
+  if (first.has('#Gerund') || first.has('#PresentTense')) return 'present';
+  return null;
+};
+
+// Past roles should read in the past tense, a current role in one tense throughout
+const checkTense = (experience, locate) => {
+  const findings = [];
+
+  (experience.entries || []).forEach((entry) => {
+    const bullets = entry.bullets
+      .map(bullet => ({ bullet, tense: openingTense(bullet) }))
+      .filter(item => item.tense);
+    const role = entry.title || entry.employer || 'this role';
+
+    let flagged = [];
+    let suggestion;
+
+    if (!entry.current) {
+      flagged = bullets.filter(item => item.tense === 'present');
+      suggestion = `Use the past tense for ${role} - it is a previous role`;
+    } else {
+      const present = bullets.filter(item => item.tense === 'present');
+      const past = bullets.filter(item => item.tense === 'past');
+      // The minority tense is the odd one out - on a tie, the current role should read in the present
+      flagged = present.length > 0 && past.length > 0 ? (past.length <= present.length ? past : present) : [];
+      suggestion = `Keep one tense throughout ${role} - present tense suits a current role`;
+    }
+
+    flagged.forEach(({ bullet, tense }) => {
+      const line = locate(bullet);
+      findings.push({
+        type: 'tense',
+        severity: 'medium',
+        line,
+        text: bullet,
+        tense,
+        message: `${tense === 'past' ? 'Past' : 'Present'} tense in ${entry.current ? 'your current' : 'a past'} role${line ? ` on line ${line}` : ''}`,
+        suggestion
+      });
+    });
+  });
+
+  return findings;
+};
+
+// ---------- Repeated words ----------
+
+// "the the", "and and" - any script, case-insensitive
+const REPEATED_WORD_REGEX = /(?<![\p{L}\p{M}\p{N}])([\p{L}\p{M}]+)\s+\1(?![\p{L}\p{M}\p{N}])/giu;
+
+const checkRepeatedWords = (lines) => {
+  const findings = [];
+
+  lines.forEach(({ number, text }) => {
+    for (const match of text.matchAll(REPEATED_WORD_REGEX)) {
+      findings.push({
+        type: 'repeatedWord',
+        severity: 'medium',
+        line: number,
+        text,
+        word: match[1],
+        message: `"${match[0]}" on line ${number}`,
+        suggestion: `Remove the repeated "${match[1]}"`
+      });
+    }
+  });
+
+  return findings;
+};
+
+// ---------- Readability indices ----------
+
+// Vowel-group syllable estimate - close enough for averages over a whole resume
+const countSyllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) {
+    return 1;
+  }
+  const trimmed = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Each line is its own sentence too - bullets rarely end with a full stop
+const splitSentences = (lines) => lines.flatMap(({ number, text }) => text
+  .split(/(?<=[.!?])\s+/)
+  .map(sentence => ({ line: number, text: sentence, words: sentence.match(/[A-Za-z][A-Za-z'’-]*/g) || [] }))
+  .filter(sentence => sentence.words.length > 0));
+
+// Flesch reading ease, Flesch-Kincaid grade and Gunning fog over the resume's prose
+const calculateIndices = (sentences) => {
+  const words = sentences.flatMap(sentence => sentence.words);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const syllables = words.map(countSyllables);
+  const totalSyllables = syllables.reduce((sum, count) => sum + count, 0);
+  const complexWords = syllables.filter(count => count >= 3).length;
+  const wordsPerSentence = words.length / sentences.length;
+  const syllablesPerWord = totalSyllables / words.length;
+
+  return {
+    fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+    gunningFog: round(0.4 * (wordsPerSentence + 100 * (complexWords / words.length))),
+    sentences: sentences.length,
+    words: words.length
+  };
+};
+
+const checkLongSentences = (sentences, maxWords) => sentences
+  .filter(sentence => sentence.words.length > maxWords + LONG_SENTENCE_MARGIN)
+  .map(sentence => ({
+    type: 'longSentence',
+    severity: 'low',
+    line: sentence.line,
+    text: sentence.text,
+    wordCount: sentence.words.length,
+    message: `${sentence.words.length}-word sentence on line ${sentence.line}`,
+    suggestion: 'Split it into shorter bullets of one achievement each'
+  }));
+
+// ---------- Entry point ----------
+
+// Lines worth checking - the contact block (names, addresses) and the skills list (tool names)
+// are left out, as are headings and very short lines
+const proseLines = (resumeText, sections) => {
+  const headings = sections.headings || [];
+  const headingLines = new Set(headings.map(heading => heading.line));
+  const firstLine = headings.length > 0 ? headings[0].line : UNSECTIONED_SKIP_LINES;
+
+  return resumeText.split('\n')
+    .map((text, index) => {
+      const heading = [...headings].reverse().find(item => item.line <= index);
+      return { number: index + 1, index, text: text.trim(), section: heading ? heading.section : null };
+    })
+    .filter(({ index, text, section }) =>
+      index >= firstLine &&
+      !headingLines.has(index) &&
+      section !== 'skills' &&
+      text.split(/\s+/).length >= 3);
+};
+
+// options: language (from utils/languages), sections (extractSections), experience (analyzeExperience), profile
+const analyzeWriting = (resumeText, options = {}) => {
+  const { language, sections = {}, experience = {}, profile } = options;
+  const english = !language || language.code === 'en';
+  const lines = proseLines(resumeText, sections);
+  const allLines = resumeText.split('\n');
+
+  // 1-based line of a bullet extracted from the experience section (bullet markers are stripped)
+  const locate = (bullet) => {
+    const index = allLines.findIndex(line => line.includes(bullet));
+    return index === -1 ? null : index + 1;
+  };
+
+  const findings = [...checkRepeatedWords(lines)];
+  let indices = null;
+
+  if (english) {
+    const sentences = splitSentences(lines);
+    indices = calculateIndices(sentences);
+
+    findings.push(
+      ...checkSpelling(lines),
+      ...checkPassiveVoice(lines),
+      ...checkTense(experience, locate),
+      ...(profile ? checkLongSentences(sentences, profile.sentenceLength.max) : [])
+    );
+  }
+
+  findings.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+  return {
+    checks: english ? ENGLISH_CHECKS : UNIVERSAL_CHECKS,
+    findings,
+    indices
+  };
+};
+
+module.exports = {
+  analyzeWriting
+};